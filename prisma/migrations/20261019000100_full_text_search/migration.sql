@@ -0,0 +1,18 @@
+-- AddColumn
+-- Weighted search document for items, kept in sync by Postgres
+ALTER TABLE "items" ADD COLUMN "search_vector" tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce("name", '')), 'A') ||
+    setweight(to_tsvector('english', coalesce("category", '')), 'B') ||
+    setweight(to_tsvector('english', coalesce("description", '')), 'C')
+) STORED;
+
+-- AddColumn
+ALTER TABLE "reviews" ADD COLUMN "search_vector" tsvector GENERATED ALWAYS AS (
+    to_tsvector('english', "content")
+) STORED;
+
+-- CreateIndex
+CREATE INDEX "items_search_vector_idx" ON "items" USING GIN ("search_vector");
+
+-- CreateIndex
+CREATE INDEX "reviews_search_vector_idx" ON "reviews" USING GIN ("search_vector");
@@ -0,0 +1,88 @@
+-- CreateTable
+CREATE TABLE "categories" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "slug" TEXT NOT NULL,
+    "parent_id" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "categories_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "categories_slug_key" ON "categories"("slug");
+
+-- AddForeignKey
+ALTER TABLE "categories" ADD CONSTRAINT "categories_parent_id_fkey" FOREIGN KEY ("parent_id") REFERENCES "categories"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Convert the free-text categories: names differing only in case or
+-- punctuation share a slug and collapse into one category
+INSERT INTO "categories" ("name", "slug")
+SELECT DISTINCT ON ("slug") "name", "slug"
+FROM (
+    SELECT
+        trim("category") AS "name",
+        trim(BOTH '-' FROM regexp_replace(lower(trim("category")), '[^a-z0-9]+', '-', 'g')) AS "slug"
+    FROM "items"
+    WHERE "category" IS NOT NULL
+) AS "existing"
+WHERE "slug" <> ''
+ORDER BY "slug", "name";
+
+-- AddColumn
+ALTER TABLE "items" ADD COLUMN "category_id" INTEGER;
+
+UPDATE "items" i
+SET "category_id" = c."id"
+FROM "categories" c
+WHERE i."category" IS NOT NULL
+  AND c."slug" = trim(BOTH '-' FROM regexp_replace(lower(trim(i."category")), '[^a-z0-9]+', '-', 'g'));
+
+-- The generated search document reads the old column, so it is rebuilt
+-- below as a trigger-maintained column that looks up the category name
+DROP INDEX "items_search_vector_idx";
+ALTER TABLE "items" DROP COLUMN "search_vector";
+ALTER TABLE "items" DROP COLUMN "category";
+
+-- CreateIndex
+CREATE INDEX "items_category_id_idx" ON "items"("category_id");
+
+-- AddForeignKey
+ALTER TABLE "items" ADD CONSTRAINT "items_category_id_fkey" FOREIGN KEY ("category_id") REFERENCES "categories"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddColumn
+ALTER TABLE "items" ADD COLUMN "search_vector" tsvector;
+
+CREATE FUNCTION items_search_vector_update() RETURNS trigger AS $$
+BEGIN
+    NEW."search_vector" :=
+        setweight(to_tsvector('english', coalesce(NEW."name", '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(
+            (SELECT "name" FROM "categories" WHERE "id" = NEW."category_id"), ''
+        )), 'B') ||
+        setweight(to_tsvector('english', coalesce(NEW."description", '')), 'C');
+    RETURN NEW;
+END
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "items_search_vector_update"
+BEFORE INSERT OR UPDATE OF "name", "description", "category_id" ON "items"
+FOR EACH ROW EXECUTE FUNCTION items_search_vector_update();
+
+-- Renaming a category re-indexes the items filed under it
+CREATE FUNCTION categories_search_vector_update() RETURNS trigger AS $$
+BEGIN
+    UPDATE "items" SET "name" = "name" WHERE "category_id" = NEW."id";
+    RETURN NULL;
+END
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "categories_search_vector_update"
+AFTER UPDATE OF "name" ON "categories"
+FOR EACH ROW EXECUTE FUNCTION categories_search_vector_update();
+
+-- Backfill
+UPDATE "items" SET "name" = "name";
+
+-- CreateIndex
+CREATE INDEX "items_search_vector_idx" ON "items" USING GIN ("search_vector");
@@ -0,0 +1,30 @@
+-- CreateEnum
+CREATE TYPE "TokenPurpose" AS ENUM ('email_verification', 'password_reset');
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "email_verified" BOOLEAN NOT NULL DEFAULT false;
+
+-- Accounts created before verification existed keep posting rights
+UPDATE "users" SET "email_verified" = true;
+
+-- CreateTable
+CREATE TABLE "user_tokens" (
+    "id" SERIAL NOT NULL,
+    "token_hash" TEXT NOT NULL,
+    "purpose" "TokenPurpose" NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "used_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "user_tokens_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "user_tokens_token_hash_key" ON "user_tokens"("token_hash");
+
+-- CreateIndex
+CREATE INDEX "user_tokens_user_id_purpose_idx" ON "user_tokens"("user_id", "purpose");
+
+-- AddForeignKey
+ALTER TABLE "user_tokens" ADD CONSTRAINT "user_tokens_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
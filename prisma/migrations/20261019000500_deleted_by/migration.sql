@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "reviews" ADD COLUMN "deleted_by_id" INTEGER;
+
+-- AlterTable
+ALTER TABLE "comments" ADD COLUMN "deleted_by_id" INTEGER;
+
+-- Rows deleted before this column existed have no recorded deleter, so
+-- they can no longer be restored by their author
+
+-- AddForeignKey
+ALTER TABLE "reviews" ADD CONSTRAINT "reviews_deleted_by_id_fkey" FOREIGN KEY ("deleted_by_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "comments" ADD CONSTRAINT "comments_deleted_by_id_fkey" FOREIGN KEY ("deleted_by_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
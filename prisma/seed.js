@@ -1,8 +1,14 @@
 const prisma = require('../src/lib/prisma');
 const bcrypt = require('bcrypt');
+const { config } = require('../src/lib/config');
+const { recomputeItemStats } = require('../src/lib/ratings');
+const { findOrCreateCategory } = require('../src/lib/categories');
 
 async function main() {
-  const hashedPassword = await bcrypt.hash('password123', 10);
+  const hashedPassword = await bcrypt.hash(
+    'password123',
+    config.auth.bcryptRounds
+  );
 
   // Create users
   const user1 = await prisma.user.create({
@@ -10,6 +16,8 @@ async function main() {
       username: 'admin',
       email: 'admin@example.com',
       password: hashedPassword,
+      emailVerified: true,
+      role: 'admin',
     },
   });
 
@@ -18,36 +26,45 @@ async function main() {
       username: 'testuser',
       email: 'testuser@example.com',
       password: hashedPassword,
+      emailVerified: true,
     },
   });
 
+  // Create categories
+  const categoryA = await findOrCreateCategory('Category A');
+  const categoryB = await findOrCreateCategory('Category B');
+  // Category C is nested under Category A
+  const categoryC = await prisma.category.create({
+    data: { name: 'Category C', slug: 'category-c', parentId: categoryA.id },
+  });
+
   // Create items
   const items = await prisma.item.createMany({
     data: [
       {
         name: 'Item 1',
         description: 'Description for Item 1',
-        category: 'Category A',
+        categoryId: categoryA.id,
       },
       {
         name: 'Item 2',
         description: 'Description for Item 2',
-        category: 'Category B',
+        categoryId: categoryB.id,
       },
       {
         name: 'Item 3',
         description: 'Description for Item 3',
-        category: 'Category A',
+        categoryId: categoryA.id,
       },
       {
         name: 'Item 4',
         description: 'Description for Item 4',
-        category: 'Category C',
+        categoryId: categoryC.id,
       },
       {
         name: 'Item 5',
         description: 'Description for Item 5',
-        category: 'Category B',
+        categoryId: categoryB.id,
       },
       // Add more items as needed
     ],
@@ -74,6 +91,8 @@ async function main() {
         },
       ],
     });
+
+    await recomputeItemStats(item.id);
   }
 
   console.log('Database has been seeded. 🌱');
@@ -0,0 +1,49 @@
+const prisma = require('../src/lib/prisma');
+const { RETENTION_MS } = require('../src/lib/visibility');
+
+// Hard-delete reviews and comments that were soft-deleted longer ago than
+// the retention period. Meant to be run on a schedule (e.g. a daily cron).
+//
+// Deleting a row cascades to its replies, comments and reports, so only rows
+// with nothing left under them are purged: a deleted comment with live
+// replies stays as a placeholder in the thread. Closed reports go with the
+// content they were filed against; content with an open report waits until a
+// moderator has dealt with it.
+async function main() {
+  const cutoff = new Date(Date.now() - RETENTION_MS);
+  const purgeable = {
+    deletedAt: { lt: cutoff },
+    reports: { none: { status: 'open' } },
+  };
+
+  // Purging a reply can leave its parent with no replies, so repeat until a
+  // pass finds nothing, working up the thread one level at a time
+  let comments = 0;
+  for (;;) {
+    const { count } = await prisma.comment.deleteMany({
+      where: { ...purgeable, replies: { none: {} } },
+    });
+    if (count === 0) break;
+    comments += count;
+  }
+
+  // Soft-deleted reviews no longer count towards item stats, so removing
+  // them leaves the stats unchanged
+  const reviews = await prisma.review.deleteMany({
+    where: { ...purgeable, comments: { none: {} } },
+  });
+
+  console.log(
+    `Purged ${reviews.count} reviews and ${comments} comments ` +
+      `deleted before ${cutoff.toISOString()}.`
+  );
+}
+
+main()
+  .catch((e) => {
+    console.error(e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
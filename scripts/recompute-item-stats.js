@@ -0,0 +1,50 @@
+const prisma = require('../src/lib/prisma');
+const { recomputeItemStats } = require('../src/lib/ratings');
+
+// Rebuild the stored rating stats of every item from its reviews.
+// Pass item IDs as arguments to limit the run to those items.
+async function main() {
+  const ids = process.argv.slice(2).map((id) => parseInt(id, 10));
+
+  if (ids.some(isNaN)) {
+    throw new Error('Item IDs must be integers');
+  }
+
+  const items = await prisma.item.findMany({
+    where: ids.length > 0 ? { id: { in: ids } } : undefined,
+    select: { id: true, reviewCount: true, ratingSum: true },
+    orderBy: { id: 'asc' },
+  });
+
+  let repaired = 0;
+
+  for (const item of items) {
+    const updated = await prisma.$transaction((tx) =>
+      recomputeItemStats(item.id, tx)
+    );
+
+    if (
+      updated.reviewCount !== item.reviewCount ||
+      updated.ratingSum !== item.ratingSum
+    ) {
+      repaired += 1;
+      console.log(
+        `Item ${item.id}: ${item.reviewCount} -> ${updated.reviewCount} reviews, ` +
+          `rating sum ${item.ratingSum} -> ${updated.ratingSum}`
+      );
+    }
+  }
+
+  console.log(
+    `Recomputed rating stats for ${items.length} items (${repaired} repaired).`
+  );
+}
+
+main()
+  .catch((e) => {
+    console.error(e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,90 @@
+const express = require('express');
+const prisma = require('../../lib/prisma');
+const { authenticateToken, requireRole } = require('../../middleware/auth');
+const { asyncHandler } = require('../../middleware/asyncHandler');
+const {
+  BadRequestError,
+  NotFoundError,
+  ConflictError,
+} = require('../../lib/errors');
+const { slugify, loadCategoryTree } = require('../../lib/categories');
+const {
+  serializeCategory,
+  serializeCategoryNode,
+} = require('../../lib/serializers');
+const { documentRoutes } = require('../../lib/openapi/registry');
+const schemas = require('../../lib/openapi/schemas');
+const { z } = require('zod');
+
+const router = express.Router();
+const doc = documentRoutes('/api/categories', 'Categories');
+
+// GET /api/categories
+// Fetch every category as a tree, with item counts
+doc('get', '/', {
+  summary: 'List categories as a tree',
+  responses: { 200: ['Root categories', z.array(schemas.CategoryNode)] },
+});
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    const { roots } = await loadCategoryTree();
+
+    res.json(roots.map(serializeCategoryNode));
+  })
+);
+
+// Schema validation for creating categories
+const createCategorySchema = z.object({
+  name: z.string().trim().min(1),
+  parentId: z.number().int().positive().optional(),
+});
+
+// POST /api/categories
+// Create a new category, optionally nested under another one (admin only)
+doc('post', '/', {
+  summary: 'Create a category',
+  auth: 'admin',
+  body: createCategorySchema,
+  responses: { 201: ['Category created', schemas.Category] },
+  errors: [404, 409],
+});
+router.post(
+  '/',
+  authenticateToken,
+  requireRole('admin'),
+  asyncHandler(async (req, res) => {
+    const { name, parentId } = createCategorySchema.parse(req.body);
+
+    const slug = slugify(name);
+    if (!slug) {
+      throw new BadRequestError('Category name must contain letters or digits');
+    }
+
+    if (parentId !== undefined) {
+      const parent = await prisma.category.findUnique({
+        where: { id: parentId },
+      });
+
+      if (!parent) {
+        throw new NotFoundError('Parent category not found');
+      }
+    }
+
+    const existingCategory = await prisma.category.findUnique({
+      where: { slug },
+    });
+
+    if (existingCategory) {
+      throw new ConflictError('Category already exists');
+    }
+
+    const category = await prisma.category.create({
+      data: { name, slug, parentId },
+    });
+
+    res.status(201).json(serializeCategory(category));
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,159 @@
+const { describe, it, expect, beforeAll, afterAll } = require('@jest/globals');
+const request = require('supertest');
+const { createApp } = require('../../app');
+const prisma = require('../../lib/prisma');
+const bcrypt = require('bcrypt');
+
+const app = createApp();
+
+describe('Categories API', () => {
+  let adminToken, userToken;
+  let rootCategory, childCategory;
+  let itemIds;
+  let createdCategoryId;
+
+  beforeAll(async () => {
+    const hashedPassword = await bcrypt.hash('password123', 10);
+    await prisma.user.create({
+      data: {
+        username: 'categoryadmin',
+        email: 'categoryadmin@example.com',
+        password: hashedPassword,
+        role: 'admin',
+      },
+    });
+    await prisma.user.create({
+      data: {
+        username: 'categoryuser',
+        email: 'categoryuser@example.com',
+        password: hashedPassword,
+      },
+    });
+
+    const adminLogin = await request(app)
+      .post('/api/users/login')
+      .send({ email: 'categoryadmin@example.com', password: 'password123' });
+    adminToken = adminLogin.body.token;
+
+    const userLogin = await request(app)
+      .post('/api/users/login')
+      .send({ email: 'categoryuser@example.com', password: 'password123' });
+    userToken = userLogin.body.token;
+
+    rootCategory = await prisma.category.create({
+      data: { name: 'Tree Root', slug: 'tree-root' },
+    });
+    childCategory = await prisma.category.create({
+      data: {
+        name: 'Tree Child',
+        slug: 'tree-child',
+        parentId: rootCategory.id,
+      },
+    });
+
+    const rootItem = await prisma.item.create({
+      data: { name: 'Root Item', categoryId: rootCategory.id },
+    });
+    const childItem = await prisma.item.create({
+      data: { name: 'Child Item', categoryId: childCategory.id },
+    });
+    itemIds = [rootItem.id, childItem.id];
+  });
+
+  it('should return the category tree with item counts', async () => {
+    const response = await request(app).get('/api/categories');
+
+    expect(response.status).toBe(200);
+    expect(Array.isArray(response.body)).toBe(true);
+
+    const root = response.body.find((node) => node.id === rootCategory.id);
+    expect(root).toHaveProperty('slug', 'tree-root');
+    expect(Object.keys(root).sort()).toEqual([
+      'children',
+      'createdAt',
+      'id',
+      'itemCount',
+      'name',
+      'parentId',
+      'slug',
+      'totalItemCount',
+    ]);
+    expect(root).toHaveProperty('itemCount', 1);
+    expect(root).toHaveProperty('totalItemCount', 2);
+    expect(root.children).toHaveLength(1);
+    expect(root.children[0]).toHaveProperty('name', 'Tree Child');
+    expect(root.children[0]).toHaveProperty('itemCount', 1);
+
+    // Subcategories only appear under their parent
+    expect(
+      response.body.find((node) => node.id === childCategory.id)
+    ).toBeUndefined();
+  });
+
+  it('should allow an admin to create a subcategory', async () => {
+    const response = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Tree Leaf', parentId: childCategory.id });
+
+    expect(response.status).toBe(201);
+    expect(response.body).toHaveProperty('slug', 'tree-leaf');
+    expect(response.body).toHaveProperty('parentId', childCategory.id);
+    createdCategoryId = response.body.id;
+  });
+
+  it('should reject a category whose slug is already taken', async () => {
+    const response = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'TREE root' });
+
+    expect(response.status).toBe(409);
+    expect(response.body).toHaveProperty(
+      'error.message',
+      'Category already exists'
+    );
+  });
+
+  it('should return 404 for a non-existent parent category', async () => {
+    const response = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Orphan', parentId: 999999 });
+
+    expect(response.status).toBe(404);
+    expect(response.body).toHaveProperty(
+      'error.message',
+      'Parent category not found'
+    );
+  });
+
+  it('should not allow a regular user to create a category', async () => {
+    const response = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ name: 'Sneaky Category' });
+
+    expect(response.status).toBe(403);
+  });
+
+  afterAll(async () => {
+    // Clean up test data
+    await prisma.item.deleteMany({
+      where: { id: { in: itemIds } },
+    });
+    await prisma.category.deleteMany({
+      where: {
+        id: { in: [createdCategoryId, childCategory.id, rootCategory.id] },
+      },
+    });
+    await prisma.user.deleteMany({
+      where: {
+        email: {
+          in: ['categoryadmin@example.com', 'categoryuser@example.com'],
+        },
+      },
+    });
+    await prisma.$disconnect();
+  });
+});
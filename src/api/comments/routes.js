@@ -1,13 +1,44 @@
 const express = require('express');
 const prisma = require('../../lib/prisma');
 const { authenticateToken } = require('../../middleware/auth');
+const { asyncHandler } = require('../../middleware/asyncHandler');
+const {
+  BadRequestError,
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+} = require('../../lib/errors');
+const { writeRateLimit } = require('../../middleware/rateLimit');
+const { paginationQuery, paginate } = require('../../lib/pagination');
+const { reportSchema, fileReport } = require('../../lib/reports');
+const {
+  VISIBLE,
+  isVisible,
+  restorableUntil,
+} = require('../../lib/visibility');
+const {
+  dateRangeQuery,
+  validDateRange,
+  createdAtRange,
+} = require('../../lib/filters');
+const {
+  reviewSummarySelect,
+  commentInclude,
+  serializeComment,
+  serializeReport,
+} = require('../../lib/serializers');
+const { documentRoutes } = require('../../lib/openapi/registry');
+const schemas = require('../../lib/openapi/schemas');
 const { z } = require('zod');
 
 const router = express.Router();
+const doc = documentRoutes('/api/comments', 'Comments');
 
 // Schema validation for creating a comment
 const createCommentSchema = z.object({
   reviewId: z.number(),
+  parentId: z.number().int().optional(),
   content: z.string().min(1),
 });
 
@@ -17,18 +48,48 @@ const updateCommentSchema = z.object({
 });
 
 // Create a new comment on a review
-router.post('/', authenticateToken, async (req, res) => {
-  try {
-    const { reviewId, content } = createCommentSchema.parse(req.body);
+doc('post', '/', {
+  summary: 'Comment on a review',
+  description: 'Set `parentId` to reply to another comment on the same review.',
+  auth: true,
+  body: createCommentSchema,
+  responses: { 201: ['Comment created', schemas.Comment] },
+  errors: [404, 429],
+});
+router.post(
+  '/',
+  authenticateToken,
+  writeRateLimit,
+  asyncHandler(async (req, res) => {
+    const { reviewId, parentId, content } = createCommentSchema.parse(
+      req.body
+    );
     const userId = req.user.id;
 
     // Check if the review exists
-    const review = await prisma.review.findUnique({
-      where: { id: reviewId },
+    const review = await prisma.review.findFirst({
+      where: { id: reviewId, ...VISIBLE },
     });
 
     if (!review) {
-      return res.status(404).json({ error: 'Review not found.' });
+      throw new NotFoundError('Review not found.');
+    }
+
+    // Replies must stay within the thread of the same review
+    if (parentId !== undefined) {
+      const parent = await prisma.comment.findFirst({
+        where: { id: parentId, ...VISIBLE },
+      });
+
+      if (!parent) {
+        throw new NotFoundError('Parent comment not found.');
+      }
+
+      if (parent.reviewId !== reviewId) {
+        throw new BadRequestError(
+          'Parent comment belongs to a different review.'
+        );
+      }
     }
 
     const comment = await prisma.comment.create({
@@ -36,93 +97,166 @@ router.post('/', authenticateToken, async (req, res) => {
         content,
         user: { connect: { id: userId } },
         review: { connect: { id: reviewId } },
+        parent:
+          parentId !== undefined ? { connect: { id: parentId } } : undefined,
       },
       include: {
-        user: {
-          select: {
-            id: true,
-            username: true,
-          },
-        },
-        review: {
-          select: {
-            id: true,
-            content: true,
-          },
-        },
+        ...commentInclude,
+        review: { select: reviewSummarySelect },
       },
     });
 
-    res.status(201).json(comment);
-  } catch (error) {
-    if (error instanceof z.ZodError) {
-      res.status(400).json({ error: error.errors });
-    } else {
-      console.error(error);
-      res.status(500).json({ error: 'Internal server error' });
-    }
-  }
+    res.status(201).json(serializeComment(comment));
+  })
+);
+
+// In threads, a deleted comment that still has visible replies is kept as a
+// placeholder so the replies keep their context
+const THREAD_VISIBLE = {
+  hiddenAt: null,
+  OR: [{ deletedAt: null }, { replies: { some: VISIBLE } }],
+};
+
+// Strip what a deleted comment said, keeping its place in the thread
+const asPlaceholder = (comment) =>
+  comment.deletedAt ? { ...comment, content: null } : comment;
+
+// Author and count of the replies that would be listed with the comment
+const countingReplies = (where) => ({
+  ...commentInclude,
+  _count: {
+    select: { replies: { where } },
+  },
 });
+const commentListInclude = countingReplies(VISIBLE);
+const threadInclude = countingReplies(THREAD_VISIBLE);
+
+// Oldest first so conversations read top to bottom
+const commentSortFields = [
+  { field: 'createdAt', direction: 'asc', type: 'date' },
+  { field: 'id', direction: 'asc', type: 'integer' },
+];
+
+// Attach nested replies to each comment, `depth` levels deep.
+// Comments at the depth limit get an empty `replies` array; their
+// `_count.replies` still tells clients whether more replies exist.
+const attachReplies = async (comments, depth) => {
+  if (depth === 0 || comments.length === 0) {
+    return comments.map((comment) => ({
+      ...asPlaceholder(comment),
+      replies: [],
+    }));
+  }
 
-// Get all comments for a specific review with pagination
+  const children = await prisma.comment.findMany({
+    where: {
+      parentId: { in: comments.map((comment) => comment.id) },
+      ...THREAD_VISIBLE,
+    },
+    orderBy: commentSortFields.map(({ field, direction }) => ({
+      [field]: direction,
+    })),
+    include: threadInclude,
+  });
+
+  const nested = await attachReplies(children, depth - 1);
+
+  return comments.map((comment) => ({
+    ...asPlaceholder(comment),
+    replies: nested.filter((reply) => reply.parentId === comment.id),
+  }));
+};
+
+// Get all comments for a specific review with pagination.
+// With `tree=true` the page is made of top-level comments (or the replies to
+// `parentId`) with their reply threads nested up to `depth` levels.
 const getCommentsSchema = z.object({
   reviewId: z.string().regex(/^\d+$/),
-  page: z.string().regex(/^\d+$/).transform(Number).default('1'),
-  limit: z.string().regex(/^\d+$/).transform(Number).default('10'),
+  tree: z.enum(['true', 'false']).default('false'),
+  parentId: z.coerce.number().int().optional(),
+  depth: z.coerce.number().int().min(1).max(10).default(3),
+  ...paginationQuery,
 });
 
-router.get('/', async (req, res) => {
-  try {
-    const { reviewId, page, limit } = getCommentsSchema.parse(req.query);
+doc('get', '/', {
+  summary: 'List comments on a review',
+  description:
+    'With `tree=true` the page holds top-level comments (or the replies to ' +
+    '`parentId`) with their replies nested up to `depth` levels. Deleted ' +
+    'comments with visible replies appear there without their content.',
+  query: getCommentsSchema,
+  responses: {
+    200: ['A page of comments', schemas.page('comments', schemas.Comment)],
+  },
+  errors: [404],
+});
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    const { reviewId, tree, parentId, depth, page, limit, cursor } =
+      getCommentsSchema.parse(req.query);
     const parsedReviewId = parseInt(reviewId, 10);
 
     // Check if the review exists
-    const review = await prisma.review.findUnique({
-      where: { id: parsedReviewId },
+    const review = await prisma.review.findFirst({
+      where: { id: parsedReviewId, ...VISIBLE },
     });
 
     if (!review) {
-      return res.status(404).json({ error: 'Review not found.' });
+      throw new NotFoundError('Review not found.');
     }
 
-    const comments = await prisma.comment.findMany({
-      where: { reviewId: parsedReviewId },
-      skip: (page - 1) * limit,
-      take: limit,
-      include: {
-        user: {
-          select: {
-            id: true,
-            username: true,
-          },
-        },
-      },
-      orderBy: {
-        createdAt: 'asc',
-      },
+    // Hidden and deleted comments are left out of public listings, except
+    // for deleted comments standing in for their replies' context in a tree
+    const where = {
+      reviewId: parsedReviewId,
+      ...(tree === 'true' ? THREAD_VISIBLE : VISIBLE),
+    };
+
+    if (tree === 'true') {
+      where.parentId = parentId ?? null;
+    } else if (parentId !== undefined) {
+      where.parentId = parentId;
+    }
+
+    const pagination = paginate(commentSortFields, { page, limit, cursor });
+
+    const rows = await prisma.comment.findMany({
+      where: pagination.where(where),
+      orderBy: pagination.orderBy,
+      skip: pagination.skip,
+      take: pagination.take,
+      include: tree === 'true' ? threadInclude : commentListInclude,
     });
 
+    const { rows: comments, nextCursor } = pagination.toPage(rows);
+    const threads =
+      tree === 'true' ? await attachReplies(comments, depth - 1) : comments;
+
     res.json({
-      page,
+      page: cursor ? undefined : page,
       limit,
-      comments,
+      nextCursor,
+      comments: threads.map(serializeComment),
     });
-  } catch (error) {
-    if (error instanceof z.ZodError) {
-      res.status(400).json({ error: error.errors });
-    } else {
-      console.error(error);
-      res.status(500).json({ error: 'Internal server error' });
-    }
-  }
-});
+  })
+);
 
 // Update a comment
-router.put('/:id', authenticateToken, async (req, res) => {
-  try {
+doc('put', '/:id', {
+  summary: 'Edit your comment',
+  auth: true,
+  body: updateCommentSchema,
+  responses: { 200: ['Comment updated', schemas.Comment] },
+  errors: [403, 404],
+});
+router.put(
+  '/:id',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
     const commentId = parseInt(req.params.id, 10);
     if (isNaN(commentId)) {
-      return res.status(400).json({ error: 'Invalid comment ID.' });
+      throw new ValidationError('Invalid comment ID.');
     }
 
     const { content } = updateCommentSchema.parse(req.body);
@@ -133,46 +267,57 @@ router.put('/:id', authenticateToken, async (req, res) => {
       where: { id: commentId },
     });
 
-    if (!existingComment) {
-      return res.status(404).json({ error: 'Comment not found.' });
+    if (!existingComment || !isVisible(existingComment)) {
+      throw new NotFoundError('Comment not found.');
     }
 
     if (existingComment.userId !== userId) {
-      return res
-        .status(403)
-        .json({ error: 'You are not authorized to update this comment.' });
+      throw new ForbiddenError(
+        'You are not authorized to update this comment.'
+      );
     }
 
-    const updatedComment = await prisma.comment.update({
-      where: { id: commentId },
-      data: { content },
-      include: {
-        user: {
-          select: {
-            id: true,
-            username: true,
-          },
+    const changed = content !== existingComment.content;
+
+    const updatedComment = await prisma.$transaction(async (tx) => {
+      // Keep the version being replaced so edits stay auditable
+      if (changed) {
+        await tx.commentRevision.create({
+          data: { commentId, content: existingComment.content },
+        });
+      }
+
+      return tx.comment.update({
+        where: { id: commentId },
+        data: {
+          content,
+          editedAt: changed ? new Date() : undefined,
         },
-      },
+        include: commentInclude,
+      });
     });
 
-    res.json(updatedComment);
-  } catch (error) {
-    if (error instanceof z.ZodError) {
-      res.status(400).json({ error: error.errors });
-    } else {
-      console.error(error);
-      res.status(500).json({ error: 'Internal server error' });
-    }
-  }
-});
+    res.json(serializeComment(updatedComment));
+  })
+);
 
 // Delete a comment
-router.delete('/:id', authenticateToken, async (req, res) => {
-  try {
+doc('delete', '/:id', {
+  summary: 'Delete a comment',
+  description:
+    'Authors can restore a deleted comment within the grace period. ' +
+    'Admins may delete any comment, and their deletes cannot be restored.',
+  auth: true,
+  responses: { 200: ['Comment deleted', schemas.Deleted] },
+  errors: [403, 404],
+});
+router.delete(
+  '/:id',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
     const commentId = parseInt(req.params.id, 10);
     if (isNaN(commentId)) {
-      return res.status(400).json({ error: 'Invalid comment ID.' });
+      throw new ValidationError('Invalid comment ID.');
     }
 
     const userId = req.user.id;
@@ -182,52 +327,280 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       where: { id: commentId },
     });
 
-    if (!existingComment) {
-      return res.status(404).json({ error: 'Comment not found.' });
+    // Hidden comments are kept for auditing; only admins may remove them
+    if (
+      !existingComment ||
+      existingComment.deletedAt ||
+      (existingComment.hiddenAt && req.user.role !== 'admin')
+    ) {
+      throw new NotFoundError('Comment not found.');
     }
 
-    if (existingComment.userId !== userId) {
-      return res
-        .status(403)
-        .json({ error: 'You are not authorized to delete this comment.' });
+    // Admins may moderate any comment; everyone else only their own
+    if (existingComment.userId !== userId && req.user.role !== 'admin') {
+      throw new ForbiddenError(
+        'You are not authorized to delete this comment.'
+      );
     }
 
-    await prisma.comment.delete({
-      where: { id: commentId },
+    // Soft delete so replies keep their context and the author can
+    // restore the comment within the grace period. A concurrent delete that
+    // got there first leaves nothing to update.
+    const deletedAt = new Date();
+    const { count } = await prisma.comment.updateMany({
+      where: { id: commentId, deletedAt: null },
+      data: { deletedAt, deletedById: userId },
     });
+    if (count === 0) {
+      throw new NotFoundError('Comment not found.');
+    }
 
-    res.json({ message: 'Comment deleted successfully.' });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
+    res.json({
+      message: 'Comment deleted successfully.',
+      restorableUntil: restorableUntil({ deletedAt }),
+    });
+  })
+);
+
+// Get comments written by the authenticated user with filters and pagination
+const getMyCommentsSchema = z
+  .object({
+    reviewId: z.coerce.number().int().optional(),
+    itemId: z.coerce.number().int().optional(),
+    ...dateRangeQuery,
+    ...paginationQuery,
+  })
+  .refine(...validDateRange);
+
+doc('get', '/user/me', {
+  summary: 'List your comments',
+  auth: true,
+  query: getMyCommentsSchema,
+  responses: {
+    200: ['A page of your comments', schemas.page('comments', schemas.Comment)],
+  },
 });
+router.get(
+  '/user/me',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const { reviewId, itemId, from, to, page, limit, cursor } =
+      getMyCommentsSchema.parse(req.query);
+
+    const where = {
+      ...createdAtRange({ from, to }),
+      userId: req.user.id,
+      deletedAt: null,
+    };
+
+    if (reviewId) {
+      where.reviewId = reviewId;
+    }
 
-// Get all comments written by the authenticated user
-router.get('/user/me', authenticateToken, async (req, res) => {
-  try {
-    const userId = req.user.id;
+    if (itemId) {
+      where.review = { itemId };
+    }
 
-    const comments = await prisma.comment.findMany({
-      where: { userId },
-      include: {
-        review: {
-          select: {
-            id: true,
-            content: true,
-          },
+    const pagination = paginate(
+      [
+        { field: 'createdAt', direction: 'desc', type: 'date' },
+        { field: 'id', direction: 'desc', type: 'integer' },
+      ],
+      { page, limit, cursor }
+    );
+
+    const [rows, total] = await prisma.$transaction([
+      prisma.comment.findMany({
+        where: pagination.where(where),
+        orderBy: pagination.orderBy,
+        skip: pagination.skip,
+        take: pagination.take,
+        include: {
+          review: { select: reviewSummarySelect },
         },
-      },
-      orderBy: {
-        createdAt: 'desc',
-      },
+      }),
+      prisma.comment.count({ where }),
+    ]);
+
+    const { rows: comments, nextCursor } = pagination.toPage(rows);
+
+    res.json({
+      page: cursor ? undefined : page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      nextCursor,
+      comments: comments.map(serializeComment),
     });
+  })
+);
+
+// Report a comment for moderation
+doc('post', '/:id/report', {
+  summary: 'Report a comment',
+  auth: true,
+  body: reportSchema,
+  responses: { 201: ['Report filed', schemas.Report] },
+  errors: [404, 409],
+});
+router.post(
+  '/:id/report',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const commentId = parseInt(req.params.id, 10);
+    if (isNaN(commentId)) {
+      throw new ValidationError('Invalid comment ID.');
+    }
 
-    res.json({ comments });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
+    const { reason, details } = reportSchema.parse(req.body);
+
+    const comment = await prisma.comment.findFirst({
+      where: { id: commentId, ...VISIBLE },
+    });
+
+    if (!comment) {
+      throw new NotFoundError('Comment not found.');
+    }
+
+    const report = await fileReport(
+      req.user.id,
+      { commentId },
+      { reason, details }
+    );
+
+    if (!report) {
+      throw new ConflictError('You have already reported this comment.');
+    }
+
+    res.status(201).json(serializeReport(report));
+  })
+);
+
+// Restore a comment the authenticated user deleted within the grace period
+doc('post', '/:id/restore', {
+  summary: 'Restore your deleted comment',
+  auth: true,
+  responses: { 200: ['Comment restored', schemas.Comment] },
+  errors: [403, 404],
+});
+router.post(
+  '/:id/restore',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const commentId = parseInt(req.params.id, 10);
+    if (isNaN(commentId)) {
+      throw new ValidationError('Invalid comment ID.');
+    }
+
+    const existingComment = await prisma.comment.findUnique({
+      where: { id: commentId },
+    });
+
+    if (!existingComment || !existingComment.deletedAt) {
+      throw new NotFoundError('Comment not found.');
+    }
+
+    if (existingComment.userId !== req.user.id) {
+      throw new ForbiddenError(
+        'You are not authorized to restore this comment.'
+      );
+    }
+
+    // Authors cannot undo a moderator's delete
+    if (existingComment.deletedById !== existingComment.userId) {
+      throw new ForbiddenError(
+        'This comment was removed by a moderator and cannot be restored.'
+      );
+    }
+
+    if (restorableUntil(existingComment) < new Date()) {
+      throw new BadRequestError(
+        'The restore period for this comment has expired.'
+      );
+    }
+
+    const restoredComment = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.comment.updateMany({
+        where: { id: commentId, deletedAt: { not: null } },
+        data: { deletedAt: null, deletedById: null },
+      });
+      if (count === 0) {
+        throw new NotFoundError('Comment not found.');
+      }
+
+      return tx.comment.findUnique({
+        where: { id: commentId },
+        include: commentInclude,
+      });
+    });
+
+    res.json(serializeComment(restoredComment));
+  })
+);
+
+// Get the edit history of a comment, most recent version first
+const getRevisionsSchema = z.object({
+  ...paginationQuery,
+});
+
+doc('get', '/:id/revisions', {
+  summary: 'Get the edit history of a comment',
+  query: getRevisionsSchema,
+  responses: {
+    200: [
+      'Earlier versions, most recent first',
+      schemas.page('revisions', schemas.CommentRevision),
+    ],
+  },
+  errors: [404],
 });
+router.get(
+  '/:id/revisions',
+  asyncHandler(async (req, res) => {
+    const commentId = parseInt(req.params.id, 10);
+    if (isNaN(commentId)) {
+      throw new ValidationError('Invalid comment ID.');
+    }
+
+    const { page, limit, cursor } = getRevisionsSchema.parse(req.query);
+
+    const comment = await prisma.comment.findFirst({
+      where: { id: commentId, ...VISIBLE },
+    });
+
+    if (!comment) {
+      throw new NotFoundError('Comment not found.');
+    }
+
+    const pagination = paginate(
+      [
+        { field: 'createdAt', direction: 'desc', type: 'date' },
+        { field: 'id', direction: 'desc', type: 'integer' },
+      ],
+      { page, limit, cursor }
+    );
+
+    const [rows, total] = await prisma.$transaction([
+      prisma.commentRevision.findMany({
+        where: pagination.where({ commentId }),
+        orderBy: pagination.orderBy,
+        skip: pagination.skip,
+        take: pagination.take,
+      }),
+      prisma.commentRevision.count({ where: { commentId } }),
+    ]);
+
+    const { rows: revisions, nextCursor } = pagination.toPage(rows);
+
+    res.json({
+      page: cursor ? undefined : page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      nextCursor,
+      revisions,
+    });
+  })
+);
 
 module.exports = router;
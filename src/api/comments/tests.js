@@ -1,9 +1,11 @@
 const { describe, it, expect, beforeAll, afterAll } = require('@jest/globals');
 const request = require('supertest');
-const app = require('../../server');
+const { createApp } = require('../../app');
 const prisma = require('../../lib/prisma');
 const bcrypt = require('bcrypt');
 
+const app = createApp();
+
 describe('Comments API', () => {
   let token;
   let userId;
@@ -37,7 +39,6 @@ describe('Comments API', () => {
       data: {
         name: 'Comment Test Item',
         description: 'A test item for comment purposes.',
-        category: 'Test Category',
       },
     });
 
@@ -74,6 +75,7 @@ describe('Comments API', () => {
     expect(response.body.content).toBe('This is a test comment.');
     expect(response.body.user).toHaveProperty('id', userId);
     expect(response.body.review).toHaveProperty('id', reviewId);
+    expect(response.body).toHaveProperty('edited', false);
     commentId = response.body.id;
   });
 
@@ -91,6 +93,110 @@ describe('Comments API', () => {
     );
     expect(fetchedComment).toHaveProperty('content', 'This is a test comment.');
     expect(fetchedComment.user).toHaveProperty('id', userId);
+    expect(fetchedComment).toHaveProperty('edited', false);
+  });
+
+  it('should page through comments with a cursor', async () => {
+    await prisma.comment.create({
+      data: {
+        content: 'A second comment for paging.',
+        userId,
+        reviewId,
+      },
+    });
+
+    const firstPage = await request(app)
+      .get('/api/comments')
+      .query({ reviewId: reviewId.toString(), limit: '1' });
+
+    expect(firstPage.status).toBe(200);
+    expect(firstPage.body.comments.length).toBe(1);
+    expect(firstPage.body.comments[0].id).toBe(commentId);
+    expect(typeof firstPage.body.nextCursor).toBe('string');
+
+    const secondPage = await request(app).get('/api/comments').query({
+      reviewId: reviewId.toString(),
+      limit: '1',
+      cursor: firstPage.body.nextCursor,
+    });
+
+    expect(secondPage.status).toBe(200);
+    expect(secondPage.body.comments.length).toBe(1);
+    expect(secondPage.body.comments[0]).toHaveProperty(
+      'content',
+      'A second comment for paging.'
+    );
+    expect(secondPage.body.nextCursor).toBeNull();
+  });
+
+  it('should reply to a comment and return the thread as a tree', async () => {
+    const reply = await request(app)
+      .post('/api/comments')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        reviewId,
+        parentId: commentId,
+        content: 'A reply to the first comment.',
+      });
+
+    expect(reply.status).toBe(201);
+    expect(reply.body).toHaveProperty('parentId', commentId);
+
+    await request(app)
+      .post('/api/comments')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        reviewId,
+        parentId: reply.body.id,
+        content: 'A nested reply.',
+      });
+
+    const response = await request(app)
+      .get('/api/comments')
+      .query({ reviewId: reviewId.toString(), tree: 'true', depth: '2' });
+
+    expect(response.status).toBe(200);
+    const root = response.body.comments.find((c) => c.id === commentId);
+    expect(root._count.replies).toBe(1);
+    expect(root.replies.length).toBe(1);
+    expect(root.replies[0]).toHaveProperty(
+      'content',
+      'A reply to the first comment.'
+    );
+    // The nested reply is beyond the depth limit but still counted
+    expect(root.replies[0].replies).toEqual([]);
+    expect(root.replies[0]._count.replies).toBe(1);
+    expect(
+      response.body.comments.every((comment) => comment.parentId === null)
+    ).toBe(true);
+  });
+
+  it('should not reply to a comment on a different review', async () => {
+    const otherReview = await prisma.review.create({
+      data: {
+        rating: 3,
+        content: 'A review in another thread.',
+        userId,
+        itemId: (await prisma.item.findFirst()).id,
+      },
+    });
+
+    const response = await request(app)
+      .post('/api/comments')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        reviewId: otherReview.id,
+        parentId: commentId,
+        content: 'Cross-thread reply.',
+      });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toHaveProperty(
+      'error.message',
+      'Parent comment belongs to a different review.'
+    );
+
+    await prisma.review.delete({ where: { id: otherReview.id } });
   });
 
   it('should update the comment', async () => {
@@ -104,6 +210,20 @@ describe('Comments API', () => {
     expect(response.status).toBe(200);
     expect(response.body).toHaveProperty('id', commentId);
     expect(response.body.content).toBe('Updated comment content.');
+    expect(response.body).toHaveProperty('edited', true);
+  });
+
+  it('should record the previous version of an edited comment', async () => {
+    const response = await request(app).get(
+      `/api/comments/${commentId}/revisions`
+    );
+
+    expect(response.status).toBe(200);
+    expect(response.body.revisions.length).toBe(1);
+    expect(response.body.revisions[0]).toHaveProperty(
+      'content',
+      'This is a test comment.'
+    );
   });
 
   it('should not allow updating the comment by another user', async () => {
@@ -124,7 +244,7 @@ describe('Comments API', () => {
 
     expect(response.status).toBe(403);
     expect(response.body).toHaveProperty(
-      'error',
+      'error.message',
       'You are not authorized to update this comment.'
     );
   });
@@ -141,11 +261,110 @@ describe('Comments API', () => {
     );
   });
 
+  it('should hide the deleted comment from the review thread', async () => {
+    const response = await request(app)
+      .get('/api/comments')
+      .query({ reviewId: reviewId.toString(), limit: '100' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.comments.some((c) => c.id === commentId)).toBe(
+      false
+    );
+  });
+
+  it('should keep a deleted comment with replies as a placeholder in the tree', async () => {
+    const response = await request(app)
+      .get('/api/comments')
+      .query({ reviewId: reviewId.toString(), tree: 'true', depth: '2' });
+
+    expect(response.status).toBe(200);
+    const placeholder = response.body.comments.find((c) => c.id === commentId);
+    expect(placeholder).toHaveProperty('content', null);
+    expect(placeholder.deletedAt).not.toBeNull();
+    expect(placeholder._count.replies).toBe(1);
+    expect(placeholder.replies[0]).toHaveProperty(
+      'content',
+      'A reply to the first comment.'
+    );
+  });
+
+  it('should not let another user restore the comment', async () => {
+    const loginResponse = await request(app)
+      .post('/api/users/login')
+      .send({ email: 'another@example.com', password: 'password456' });
+
+    const response = await request(app)
+      .post(`/api/comments/${commentId}/restore`)
+      .set('Authorization', `Bearer ${loginResponse.body.token}`);
+
+    expect(response.status).toBe(403);
+  });
+
+  it('should restore the deleted comment', async () => {
+    const response = await request(app)
+      .post(`/api/comments/${commentId}/restore`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveProperty('deletedAt', null);
+
+    await request(app)
+      .delete(`/api/comments/${commentId}`)
+      .set('Authorization', `Bearer ${token}`);
+  });
+
   it('should not find the deleted comment', async () => {
     const response = await request(app).get(`/api/comments/${commentId}`);
 
     expect(response.status).toBe(404);
-    expect(response.body).toHaveProperty('error', 'Comment not found.');
+    expect(response.body).toHaveProperty('error.message', 'Comment not found.');
+  });
+
+  it('should allow an admin to moderate any comment', async () => {
+    const hashedPassword = await bcrypt.hash('password789', 10);
+    await prisma.user.create({
+      data: {
+        username: 'commentadmin',
+        email: 'commentadmin@example.com',
+        password: hashedPassword,
+        role: 'admin',
+      },
+    });
+
+    const loginResponse = await request(app)
+      .post('/api/users/login')
+      .send({ email: 'commentadmin@example.com', password: 'password789' });
+
+    const adminToken = loginResponse.body.token;
+
+    const comment = await prisma.comment.create({
+      data: {
+        content: 'Comment to be moderated.',
+        userId,
+        reviewId,
+      },
+    });
+
+    const response = await request(app)
+      .delete(`/api/comments/${comment.id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveProperty(
+      'message',
+      'Comment deleted successfully.'
+    );
+
+    // The author cannot undo the moderation
+    const restore = await request(app)
+      .post(`/api/comments/${comment.id}/restore`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(restore.status).toBe(403);
+    expect(restore.body).toHaveProperty(
+      'error.message',
+      'This comment was removed by a moderator and cannot be restored.'
+    );
   });
 
   it('should fetch all comments written by the authenticated user', async () => {
@@ -191,6 +410,17 @@ describe('Comments API', () => {
       'content',
       'First comment by user.'
     );
+    expect(response.body.total).toBe(response.body.comments.length);
+
+    const filtered = await request(app)
+      .get('/api/comments/user/me')
+      .set('Authorization', `Bearer ${token}`)
+      .query({ reviewId: newReview.id.toString(), limit: '1' });
+
+    expect(filtered.status).toBe(200);
+    expect(filtered.body.comments.length).toBe(1);
+    expect(filtered.body.total).toBe(2);
+    expect(filtered.body.totalPages).toBe(2);
   });
 
   afterAll(async () => {
@@ -213,7 +443,11 @@ describe('Comments API', () => {
     await prisma.user.deleteMany({
       where: {
         email: {
-          in: ['commenter@example.com', 'another@example.com'],
+          in: [
+            'commenter@example.com',
+            'another@example.com',
+            'commentadmin@example.com',
+          ],
         },
       },
     });
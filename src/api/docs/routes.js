@@ -0,0 +1,69 @@
+const express = require('express');
+const { buildDocument } = require('../../lib/openapi/registry');
+
+const router = express.Router();
+
+// Pinned so the integrity hashes below match; bump all three together
+const SWAGGER_UI = 'https://unpkg.com/swagger-ui-dist@5.33.0/';
+const SWAGGER_UI_JS_INTEGRITY =
+  'sha384-YDALVcy8kj8yltLBVi1vBiBAUqdxvus673gM8XKwiy6aDUJFXivF/KCufekjYbVf';
+const SWAGGER_UI_CSS_INTEGRITY =
+  'sha384-Ov4/wv3j2bmct8cDc5X4ngJZohVPzEmc6uDPH8WeljUxO5vtoykvMEfbu9Vh6RaW';
+
+// The docs page loads Swagger UI from its CDN; Swagger UI styles elements
+// inline and uses data: URIs for its icons
+const DOCS_CSP = [
+  "default-src 'none'",
+  `script-src 'self' ${SWAGGER_UI}`,
+  `style-src 'self' 'unsafe-inline' ${SWAGGER_UI}`,
+  "img-src 'self' data:",
+  "connect-src 'self'",
+  "frame-ancestors 'none'",
+].join('; ');
+
+// GET /api/openapi.json
+// The OpenAPI document describing every route
+router.get('/openapi.json', (req, res) => {
+  res.json(buildDocument());
+});
+
+// GET /api/docs
+// Interactive documentation rendered by Swagger UI
+router.get('/docs', (req, res) => {
+  res.set('Content-Security-Policy', DOCS_CSP);
+  res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>Reviews API</title>
+    <link
+      rel="stylesheet"
+      href="${SWAGGER_UI}swagger-ui.css"
+      integrity="${SWAGGER_UI_CSS_INTEGRITY}"
+      crossorigin="anonymous"
+    />
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script
+      src="${SWAGGER_UI}swagger-ui-bundle.js"
+      integrity="${SWAGGER_UI_JS_INTEGRITY}"
+      crossorigin="anonymous"
+    ></script>
+    <script src="/api/docs/init.js"></script>
+  </body>
+</html>
+`);
+});
+
+// Kept out of the page itself so it works under a strict script policy
+router.get('/docs/init.js', (req, res) => {
+  res
+    .type('js')
+    .send(
+      "window.ui = SwaggerUIBundle({ url: '/api/openapi.json', " +
+        "dom_id: '#swagger-ui' });\n"
+    );
+});
+
+module.exports = router;
@@ -0,0 +1,67 @@
+const { describe, it, expect } = require('@jest/globals');
+const request = require('supertest');
+const { createApp } = require('../../app');
+const routes = require('../routes');
+const { isDocumented } = require('../../lib/openapi/registry');
+
+const app = createApp();
+
+// Every method and full path handled by the mounted routers
+const mountedRoutes = () =>
+  routes.flatMap(([prefix, router]) =>
+    router.stack
+      .filter((layer) => layer.route)
+      .flatMap((layer) =>
+        Object.keys(layer.route.methods).map((method) => ({
+          method,
+          path: prefix + (layer.route.path === '/' ? '' : layer.route.path),
+        }))
+      )
+  );
+
+describe('API documentation', () => {
+  it('should document every route', () => {
+    const undocumented = mountedRoutes()
+      .filter(({ method, path }) => !isDocumented(method, path))
+      .map(({ method, path }) => `${method.toUpperCase()} ${path}`);
+
+    expect(undocumented).toEqual([]);
+  });
+
+  it('should serve the OpenAPI document', async () => {
+    const response = await request(app).get('/api/openapi.json');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveProperty('openapi', '3.1.0');
+    expect(response.body.paths).toHaveProperty('/api/items/{id}');
+    expect(response.body.components.schemas).toHaveProperty('Error');
+  });
+
+  it('should describe request bodies and errors', async () => {
+    const response = await request(app).get('/api/openapi.json');
+    const operation = response.body.paths['/api/reviews'].post;
+
+    expect(operation.requestBody.content['application/json'].schema).toEqual(
+      expect.objectContaining({
+        required: ['itemId', 'rating', 'content'],
+      })
+    );
+    expect(operation.security).toEqual([{ bearerAuth: [] }]);
+    expect(operation.responses).toHaveProperty('201');
+    expect(operation.responses).toHaveProperty('401');
+  });
+
+  it('should serve the docs UI', async () => {
+    const response = await request(app).get('/api/docs');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/html/);
+    expect(response.text).toContain(
+      'src="https://unpkg.com/swagger-ui-dist@5.33.0/swagger-ui-bundle.js"'
+    );
+    expect(response.text).toMatch(/integrity="sha384-[\w+/=]+"/);
+    expect(response.headers['content-security-policy']).toContain(
+      "script-src 'self' https://unpkg.com/swagger-ui-dist@5.33.0/;"
+    );
+  });
+});
@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const express = require('express');
+const prisma = require('../../lib/prisma');
+const { logger } = require('../../lib/logger');
+const { renderMetrics } = require('../../lib/metrics');
+const { UnauthorizedError } = require('../../lib/errors');
+
+const router = express.Router();
+
+// GET /healthz
+// Liveness: the process is up and serving requests
+router.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptime: process.uptime() });
+});
+
+// GET /readyz
+// Readiness: the database is reachable and the server is not shutting down
+router.get('/readyz', async (req, res) => {
+  if (req.app.locals.draining) {
+    return res.status(503).json({ status: 'draining' });
+  }
+
+  try {
+    await prisma.$queryRaw`SELECT 1`;
+  } catch (error) {
+    logger.warn('Readiness check failed', { err: error });
+    return res
+      .status(503)
+      .json({ status: 'unavailable', checks: { database: 'error' } });
+  }
+
+  res.json({ status: 'ready', checks: { database: 'ok' } });
+});
+
+// Whether the request carries `Authorization: Bearer <token>`
+const hasBearerToken = (req, token) => {
+  const expected = Buffer.from(`Bearer ${token}`);
+  const actual = Buffer.from(req.get('Authorization') || '');
+
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+};
+
+// GET /metrics
+// Request counts and latencies in the Prometheus text format, for scrapers
+// holding METRICS_TOKEN. Without a configured token the endpoint is hidden.
+router.get('/metrics', (req, res, next) => {
+  const token = req.app.locals.metricsToken;
+  if (!token) return next();
+
+  if (!hasBearerToken(req, token)) {
+    return next(new UnauthorizedError('Invalid metrics token'));
+  }
+
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+module.exports = router;
@@ -0,0 +1,79 @@
+const { describe, it, expect, afterAll } = require('@jest/globals');
+const request = require('supertest');
+const { createApp } = require('../../app');
+const prisma = require('../../lib/prisma');
+
+const app = createApp();
+
+describe('Health API', () => {
+  afterAll(async () => {
+    await prisma.$disconnect();
+  });
+
+  it('should report the process as alive', async () => {
+    const response = await request(app).get('/healthz');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveProperty('status', 'ok');
+  });
+
+  it('should report ready when the database is reachable', async () => {
+    const response = await request(app).get('/readyz');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({
+      status: 'ready',
+      checks: { database: 'ok' },
+    });
+  });
+
+  it('should report not ready while shutting down', async () => {
+    const drainingApp = createApp();
+    drainingApp.locals.draining = true;
+
+    const response = await request(drainingApp).get('/readyz');
+
+    expect(response.status).toBe(503);
+    expect(response.body).toHaveProperty('status', 'draining');
+    expect(response.headers.connection).toBe('close');
+  });
+
+  it('should expose request metrics per route and status', async () => {
+    const metricsApp = createApp({ metricsToken: 'metrics-test-token' });
+    await request(metricsApp).get('/api/items/999999');
+
+    const response = await request(metricsApp)
+      .get('/metrics')
+      .set('Authorization', 'Bearer metrics-test-token');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/text\/plain/);
+    expect(response.text).toContain(
+      'http_requests_total{method="GET",route="/api/items/:id",status="404"}'
+    );
+    expect(response.text).toContain(
+      '# TYPE http_request_duration_seconds histogram'
+    );
+  });
+
+  it('should require the metrics token', async () => {
+    const metricsApp = createApp({ metricsToken: 'metrics-test-token' });
+
+    const missing = await request(metricsApp).get('/metrics');
+    expect(missing.status).toBe(401);
+
+    const wrong = await request(metricsApp)
+      .get('/metrics')
+      .set('Authorization', 'Bearer wrong-token');
+    expect(wrong.status).toBe(401);
+    expect(wrong.body).toHaveProperty('error.code', 'UNAUTHORIZED');
+  });
+
+  it('should hide metrics when no token is configured', async () => {
+    const response = await request(createApp({ metricsToken: null })).get(
+      '/metrics'
+    );
+
+    expect(response.status).toBe(404);
+  });
+});
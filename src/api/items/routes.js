@@ -1,103 +1,257 @@
 const express = require('express');
 const prisma = require('../../lib/prisma');
+const {
+  authenticateToken,
+  requireRole,
+  requireVerifiedEmail,
+} = require('../../middleware/auth');
+const { asyncHandler } = require('../../middleware/asyncHandler');
+const { writeRateLimit } = require('../../middleware/rateLimit');
+const {
+  BadRequestError,
+  ValidationError,
+  NotFoundError,
+} = require('../../lib/errors');
+const { upsertReview } = require('../../lib/reviews');
+const { paginationQuery, paginate } = require('../../lib/pagination');
+const { REVIEW_SORTS, reviewSortFields } = require('../../lib/votes');
+const { VISIBLE } = require('../../lib/visibility');
+const { searchItems } = require('../../lib/search');
+const { slugify, categoryAndDescendantIds } = require('../../lib/categories');
+const {
+  TAG_MODES,
+  tagsQuery,
+  tagsInput,
+  tagFilter,
+  setItemTags,
+} = require('../../lib/tags');
+const {
+  publicUserSelect,
+  commentInclude,
+  itemInclude,
+  serializeItem,
+  serializeReview,
+} = require('../../lib/serializers');
+const { documentRoutes } = require('../../lib/openapi/registry');
+const schemas = require('../../lib/openapi/schemas');
 const { z } = require('zod');
 
 const router = express.Router();
+const doc = documentRoutes('/api/items', 'Items');
+
+// Fields the item list can be sorted by; `relevance` needs a search term
+const SORT_FIELDS = [
+  'relevance',
+  'name',
+  'createdAt',
+  'averageRating',
+  'reviewCount',
+];
+
+// Type of each sort field's values, for validating cursors
+const SORT_FIELD_TYPES = {
+  name: 'string',
+  createdAt: 'date',
+  averageRating: 'number',
+  reviewCount: 'integer',
+};
 
 // Schema for query parameters
-const querySchema = z.object({
-  search: z.string().optional(),
-  category: z.string().optional(),
-  page: z.number().int().min(1).default(1),
-  limit: z.number().int().min(1).max(100).default(10),
-});
+const querySchema = z
+  .object({
+    search: z.string().optional(),
+    category: z.string().optional(),
+    tags: tagsQuery,
+    tagMode: z.enum(TAG_MODES).default('all'),
+    sort: z.enum(SORT_FIELDS).optional(),
+    order: z.enum(['asc', 'desc']).default('desc'),
+    minRating: z.coerce.number().min(1).max(5).optional(),
+    maxRating: z.coerce.number().min(1).max(5).optional(),
+    hasReviews: z.enum(['true', 'false']).optional(),
+    ...paginationQuery,
+  })
+  .refine(
+    (query) =>
+      query.minRating === undefined ||
+      query.maxRating === undefined ||
+      query.minRating <= query.maxRating,
+    {
+      message: 'minRating must not be greater than maxRating',
+      path: ['minRating'],
+    }
+  )
+  .refine((query) => query.sort !== 'relevance' || query.search, {
+    message: 'Sorting by relevance requires a search term',
+    path: ['sort'],
+  })
+  .refine((query) => query.sort !== 'relevance' || !query.cursor, {
+    message: 'Cursor pagination is not available when sorting by relevance',
+    path: ['cursor'],
+  });
 
 // GET /api/items
-// Fetch a list of items with optional search and pagination
-router.get('/', async (req, res) => {
-  try {
-    const { search, category, page, limit } = querySchema.parse(req.query);
+// Fetch a list of items with optional search, category and tag filters,
+// sorting and page or cursor pagination
+doc('get', '/', {
+  summary: 'List items',
+  description:
+    'Searches are ranked by relevance unless another sort is requested. ' +
+    'Filtering by a category includes its subcategories.',
+  query: querySchema,
+  responses: { 200: ['A page of items', schemas.page('items', schemas.Item)] },
+});
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    const {
+      search,
+      category,
+      tags,
+      tagMode,
+      sort,
+      order,
+      minRating,
+      maxRating,
+      hasReviews,
+      page,
+      limit,
+      cursor,
+    } = querySchema.parse(req.query);
 
-    const where = {};
+    // Filtering by a category includes everything filed under its
+    // subcategories; an unknown category matches nothing
+    const categoryIds = category
+      ? (await categoryAndDescendantIds(slugify(category))) || []
+      : undefined;
 
-    if (search) {
-      where.OR = [
-        { name: { contains: search, mode: 'insensitive' } },
-        { description: { contains: search, mode: 'insensitive' } },
-      ];
-    }
+    // Searches are ranked by relevance unless another sort is requested
+    const sortBy = sort || (search ? 'relevance' : 'createdAt');
 
-    if (category) {
-      where.category = category;
-    }
+    // Unrated items always sort last; id breaks ties so pages are stable.
+    // Relevance rankings are paged by number only.
+    const sortFields =
+      sortBy === 'relevance'
+        ? []
+        : [
+            {
+              field: sortBy,
+              direction: order,
+              type: SORT_FIELD_TYPES[sortBy],
+              nullable: sortBy === 'averageRating',
+            },
+            { field: 'id', direction: order, type: 'integer' },
+          ];
+    const pagination = paginate(sortFields, { page, limit, cursor });
 
-    const items = await prisma.item.findMany({
-      where,
-      skip: (page - 1) * limit,
-      take: limit,
-      include: {
-        reviews: {
-          select: {
-            rating: true,
-          },
+    let rows;
+    let total;
+
+    if (search) {
+      // Matching, filtering, ordering and paging all happen in one query
+      const found = await searchItems(
+        search,
+        {
+          categoryIds,
+          tags,
+          tagMode,
+          minRating,
+          maxRating,
+          hasReviews:
+            hasReviews === undefined ? undefined : hasReviews === 'true',
         },
-      },
-    });
+        { sortFields, pagination }
+      );
 
-    // Calculate average rating for each item
-    const itemsWithAvgRating = items.map((item) => {
-      const averageRating =
-        item.reviews.length > 0
-          ? item.reviews.reduce((acc, curr) => acc + curr.rating, 0) /
-            item.reviews.length
-          : null;
-      return {
-        ...item,
-        averageRating: averageRating
-          ? parseFloat(averageRating.toFixed(2))
-          : null,
-        reviews: undefined, // Remove reviews from the response
-      };
-    });
+      const pageItems = await prisma.item.findMany({
+        where: { id: { in: found.ids } },
+        include: itemInclude,
+      });
+      const itemsById = new Map(pageItems.map((item) => [item.id, item]));
+
+      // Items deleted since the search ran are left out
+      rows = found.ids.map((id) => itemsById.get(id)).filter(Boolean);
+      total = found.total;
+    } else {
+      const where = {};
+
+      if (categoryIds) {
+        where.categoryId = { in: categoryIds };
+      }
+
+      if (tags.length > 0) {
+        Object.assign(where, tagFilter(tags, tagMode));
+      }
+
+      if (minRating !== undefined || maxRating !== undefined) {
+        where.averageRating = { gte: minRating, lte: maxRating };
+      }
+
+      if (hasReviews !== undefined) {
+        where.reviewCount = hasReviews === 'true' ? { gt: 0 } : 0;
+      }
+
+      [rows, total] = await prisma.$transaction([
+        prisma.item.findMany({
+          where: pagination.where(where),
+          orderBy: pagination.orderBy,
+          skip: pagination.skip,
+          take: pagination.take,
+          include: itemInclude,
+        }),
+        prisma.item.count({ where }),
+      ]);
+    }
+
+    const { rows: items, nextCursor } = pagination.toPage(rows);
 
     res.json({
-      page,
+      page: cursor ? undefined : page,
       limit,
-      items: itemsWithAvgRating,
+      total,
+      totalPages: Math.ceil(total / limit),
+      nextCursor,
+      items: items.map(serializeItem),
     });
-  } catch (error) {
-    if (error instanceof z.ZodError) {
-      res.status(400).json({ error: error.errors });
-    } else {
-      console.error(error);
-      res.status(500).json({ error: 'Internal server error' });
-    }
-  }
+  })
+);
+
+// Schema for item detail query parameters
+const detailQuerySchema = z.object({
+  sort: z.enum(REVIEW_SORTS).default('recent'),
 });
 
 // GET /api/items/:id
-// Fetch details of a specific item, including average rating and reviews
-router.get('/:id', async (req, res) => {
-  try {
+// Fetch details of a specific item, including rating stats and reviews
+doc('get', '/:id', {
+  summary: 'Get an item with its reviews',
+  query: detailQuerySchema,
+  responses: { 200: ['The item', schemas.ItemDetail] },
+  errors: [404],
+});
+router.get(
+  '/:id',
+  asyncHandler(async (req, res) => {
     const itemId = parseInt(req.params.id, 10);
     if (isNaN(itemId)) {
-      return res.status(400).json({ error: 'Invalid item ID' });
+      throw new ValidationError('Invalid item ID');
     }
 
+    const { sort } = detailQuerySchema.parse(req.query);
+
     const item = await prisma.item.findUnique({
       where: { id: itemId },
       include: {
+        ...itemInclude,
         reviews: {
+          where: VISIBLE,
+          orderBy: reviewSortFields(sort).map(({ field, direction }) => ({
+            [field]: direction,
+          })),
           include: {
-            user: {
-              select: { id, username },
-            },
+            user: { select: publicUserSelect },
             comments: {
-              include: {
-                user: {
-                  select: { id, username },
-                },
-              },
+              where: VISIBLE,
+              include: commentInclude,
             },
           },
         },
@@ -105,26 +259,190 @@ router.get('/:id', async (req, res) => {
     });
 
     if (!item) {
-      return res.status(404).json({ error: 'Item not found' });
+      throw new NotFoundError('Item not found');
     }
 
-    // Calculate average rating
-    const averageRating =
-      item.reviews.length > 0
-        ? item.reviews.reduce((acc, curr) => acc + curr.rating, 0) /
-          item.reviews.length
-        : null;
+    res.json(serializeItem(item));
+  })
+);
 
-    res.json({
-      ...item,
-      averageRating: averageRating
-        ? parseFloat(averageRating.toFixed(2))
-        : null,
+// Schema validation for creating and updating items
+const createItemSchema = z.object({
+  name: z.string().min(1),
+  description: z.string().min(1).optional(),
+  categoryId: z.number().int().positive().optional(),
+  tags: tagsInput.optional(),
+});
+
+const updateItemSchema = z.object({
+  name: z.string().min(1).optional(),
+  description: z.string().min(1).nullable().optional(),
+  categoryId: z.number().int().positive().nullable().optional(),
+  tags: tagsInput.optional(),
+});
+
+// Whether the category referenced by an item payload exists
+const categoryExists = async (categoryId) =>
+  categoryId === undefined ||
+  categoryId === null ||
+  (await prisma.category.count({ where: { id: categoryId } })) > 0;
+
+// POST /api/items
+// Create a new item (admin only)
+doc('post', '/', {
+  summary: 'Create an item',
+  auth: 'admin',
+  body: createItemSchema,
+  responses: { 201: ['Item created', schemas.Item] },
+});
+router.post(
+  '/',
+  authenticateToken,
+  requireRole('admin'),
+  asyncHandler(async (req, res) => {
+    const { tags, ...data } = createItemSchema.parse(req.body);
+
+    if (!(await categoryExists(data.categoryId))) {
+      throw new BadRequestError('Category not found');
+    }
+
+    const item = await prisma.$transaction(async (tx) => {
+      const created = await tx.item.create({ data });
+
+      if (tags) {
+        await setItemTags(tx, created.id, tags);
+      }
+
+      return tx.item.findUnique({
+        where: { id: created.id },
+        include: itemInclude,
+      });
+    });
+
+    res.status(201).json(serializeItem(item));
+  })
+);
+
+// PUT /api/items/:id
+// Update an existing item (admin only)
+doc('put', '/:id', {
+  summary: 'Update an item',
+  auth: 'admin',
+  body: updateItemSchema,
+  responses: { 200: ['Item updated', schemas.Item] },
+  errors: [404],
+});
+router.put(
+  '/:id',
+  authenticateToken,
+  requireRole('admin'),
+  asyncHandler(async (req, res) => {
+    const itemId = parseInt(req.params.id, 10);
+    if (isNaN(itemId)) {
+      throw new ValidationError('Invalid item ID');
+    }
+
+    const { tags, ...data } = updateItemSchema.parse(req.body);
+
+    const existingItem = await prisma.item.findUnique({
+      where: { id: itemId },
+    });
+
+    if (!existingItem) {
+      throw new NotFoundError('Item not found');
+    }
+
+    if (!(await categoryExists(data.categoryId))) {
+      throw new BadRequestError('Category not found');
+    }
+
+    const updatedItem = await prisma.$transaction(async (tx) => {
+      // Tags are replaced as a whole when given
+      if (tags) {
+        await setItemTags(tx, itemId, tags);
+      }
+
+      return tx.item.update({
+        where: { id: itemId },
+        data,
+        include: itemInclude,
+      });
+    });
+
+    res.json(serializeItem(updatedItem));
+  })
+);
+
+// DELETE /api/items/:id
+// Delete an item along with its reviews and comments (admin only)
+doc('delete', '/:id', {
+  summary: 'Delete an item',
+  auth: 'admin',
+  responses: { 200: ['Item deleted', schemas.Message] },
+  errors: [404],
+});
+router.delete(
+  '/:id',
+  authenticateToken,
+  requireRole('admin'),
+  asyncHandler(async (req, res) => {
+    const itemId = parseInt(req.params.id, 10);
+    if (isNaN(itemId)) {
+      throw new ValidationError('Invalid item ID');
+    }
+
+    const existingItem = await prisma.item.findUnique({
+      where: { id: itemId },
+    });
+
+    if (!existingItem) {
+      throw new NotFoundError('Item not found');
+    }
+
+    await prisma.item.delete({
+      where: { id: itemId },
     });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
+
+    res.json({ message: 'Item deleted successfully.' });
+  })
+);
+
+// Schema validation for writing the caller's review of an item
+const myReviewSchema = z.object({
+  rating: z.number().int().min(1).max(5),
+  content: z.string().min(1),
 });
 
+// PUT /api/items/:id/my-review
+// Create the authenticated user's review of an item, or update it if they
+// have already reviewed it
+doc('put', '/:id/my-review', {
+  summary: 'Create or update your review of an item',
+  auth: true,
+  body: myReviewSchema,
+  responses: {
+    200: ['Existing review updated', schemas.Review],
+    201: ['Review created', schemas.Review],
+  },
+  errors: [403, 404, 409, 429],
+});
+router.put(
+  '/:id/my-review',
+  authenticateToken,
+  requireVerifiedEmail,
+  writeRateLimit,
+  asyncHandler(async (req, res) => {
+    const itemId = parseInt(req.params.id, 10);
+    if (isNaN(itemId)) {
+      throw new ValidationError('Invalid item ID');
+    }
+
+    const data = myReviewSchema.parse(req.body);
+
+    const { review, created } = await upsertReview(req.user.id, itemId, data);
+
+    res.status(created ? 201 : 200).json(serializeReview(review));
+  })
+);
+
 module.exports = router;
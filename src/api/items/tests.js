@@ -1,18 +1,78 @@
 const { describe, it, expect, beforeAll, afterAll } = require('@jest/globals');
 const request = require('supertest');
-const app = require('../../server');
+const { createApp } = require('../../app');
 const prisma = require('../../lib/prisma');
+const bcrypt = require('bcrypt');
+const { recomputeItemStats } = require('../../lib/ratings');
+
+const app = createApp();
 
 describe('Items API', () => {
   let item1, item2;
+  let parentCategory, childCategory;
+  let adminToken, userToken;
+  let createdItemId;
 
   beforeAll(async () => {
+    // Create an admin and a regular user for the management endpoints
+    const hashedPassword = await bcrypt.hash('password123', 10);
+    await prisma.user.create({
+      data: {
+        username: 'itemadmin',
+        email: 'itemadmin@example.com',
+        password: hashedPassword,
+        role: 'admin',
+      },
+    });
+    await prisma.user.create({
+      data: {
+        username: 'itemuser',
+        email: 'itemuser@example.com',
+        password: hashedPassword,
+        emailVerified: true,
+      },
+    });
+
+    const adminLogin = await request(app)
+      .post('/api/users/login')
+      .send({ email: 'itemadmin@example.com', password: 'password123' });
+    adminToken = adminLogin.body.token;
+
+    const userLogin = await request(app)
+      .post('/api/users/login')
+      .send({ email: 'itemuser@example.com', password: 'password123' });
+    userToken = userLogin.body.token;
+
+    // Create a category with one subcategory
+    parentCategory = await prisma.category.create({
+      data: { name: 'Test Electronics', slug: 'test-electronics' },
+    });
+    childCategory = await prisma.category.create({
+      data: {
+        name: 'Test Headphones',
+        slug: 'test-headphones',
+        parentId: parentCategory.id,
+      },
+    });
+
     // Create test items
+    const tag = (slug, name) => ({
+      tag: {
+        connectOrCreate: { where: { slug }, create: { name, slug } },
+      },
+    });
+
     item1 = await prisma.item.create({
       data: {
         name: 'Test Item 1',
         description: 'Description for Test Item 1',
-        category: 'Category A',
+        categoryId: parentCategory.id,
+        tags: {
+          create: [
+            tag('test-budget', 'Test Budget'),
+            tag('test-wireless', 'Test Wireless'),
+          ],
+        },
       },
     });
 
@@ -20,7 +80,8 @@ describe('Items API', () => {
       data: {
         name: 'Test Item 2',
         description: 'Description for Test Item 2',
-        category: 'Category B',
+        categoryId: childCategory.id,
+        tags: { create: [tag('test-wireless', 'Test Wireless')] },
       },
     });
 
@@ -41,6 +102,9 @@ describe('Items API', () => {
         },
       ],
     });
+
+    // Reviews inserted directly bypass the routes, so sync the stats
+    await recomputeItemStats(item1.id);
   });
 
   it('should fetch a list of items without query parameters', async () => {
@@ -55,6 +119,14 @@ describe('Items API', () => {
       (item) => item.id === item1.id
     );
     expect(fetchedItem).toHaveProperty('averageRating', 4.5);
+    expect(fetchedItem).toHaveProperty('reviewCount', 2);
+    expect(fetchedItem.ratingHistogram).toEqual({
+      1: 0,
+      2: 0,
+      3: 0,
+      4: 1,
+      5: 1,
+    });
   });
 
   it('should fetch a list of items with search query', async () => {
@@ -70,11 +142,204 @@ describe('Items API', () => {
   it('should fetch a list of items with category filter', async () => {
     const response = await request(app)
       .get('/api/items')
-      .query({ category: 'Category B' });
+      .query({ category: 'test-headphones' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.items.length).toBe(1);
+    expect(response.body.items[0].category).toEqual({
+      id: childCategory.id,
+      name: 'Test Headphones',
+      slug: 'test-headphones',
+    });
+  });
+
+  it('should include subcategories when filtering by category', async () => {
+    const response = await request(app)
+      .get('/api/items')
+      .query({ category: 'Test Electronics' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.items.map((item) => item.id).sort()).toEqual(
+      [item1.id, item2.id].sort()
+    );
+  });
+
+  it('should return no items for an unknown category', async () => {
+    const response = await request(app)
+      .get('/api/items')
+      .query({ category: 'no-such-category' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.items).toEqual([]);
+    expect(response.body.total).toBe(0);
+  });
+
+  it('should filter items having all of the given tags', async () => {
+    const response = await request(app)
+      .get('/api/items')
+      .query({ tags: 'test-budget,Test Wireless' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.items.map((item) => item.id)).toEqual([item1.id]);
+    expect(response.body.items[0].tags.map((tag) => tag.slug)).toEqual([
+      'test-budget',
+      'test-wireless',
+    ]);
+  });
+
+  it('should filter items having any of the given tags', async () => {
+    const response = await request(app)
+      .get('/api/items')
+      .query({ tags: 'test-budget,test-wireless', tagMode: 'any' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.items.map((item) => item.id).sort()).toEqual(
+      [item1.id, item2.id].sort()
+    );
+  });
+
+  it('should combine tag filters with search and category', async () => {
+    const response = await request(app).get('/api/items').query({
+      search: 'Test Item',
+      category: 'test-electronics',
+      tags: 'test-wireless',
+      tagMode: 'any',
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.items.map((item) => item.id).sort()).toEqual(
+      [item1.id, item2.id].sort()
+    );
+
+    const budget = await request(app).get('/api/items').query({
+      category: 'test-headphones',
+      tags: 'test-budget',
+    });
+
+    expect(budget.status).toBe(200);
+    expect(budget.body.items).toEqual([]);
+  });
+
+  it('should page through filtered search results', async () => {
+    const query = { search: 'Test Item', category: 'test-electronics' };
+
+    const firstPage = await request(app)
+      .get('/api/items')
+      .query({ ...query, limit: '1' });
+
+    expect(firstPage.status).toBe(200);
+    expect(firstPage.body.items.length).toBe(1);
+    expect(firstPage.body.total).toBe(2);
+    expect(firstPage.body.totalPages).toBe(2);
+    expect(firstPage.body.nextCursor).toBeNull();
+
+    const secondPage = await request(app)
+      .get('/api/items')
+      .query({ ...query, limit: '1', page: '2' });
+
+    expect(secondPage.status).toBe(200);
+    expect(
+      [firstPage.body.items[0].id, secondPage.body.items[0].id].sort()
+    ).toEqual([item1.id, item2.id].sort());
+  });
+
+  it('should page through sorted search results with a cursor', async () => {
+    const query = {
+      search: 'Test Item',
+      category: 'test-electronics',
+      sort: 'name',
+      order: 'asc',
+      limit: '1',
+    };
+
+    const firstPage = await request(app).get('/api/items').query(query);
+
+    expect(firstPage.status).toBe(200);
+    expect(firstPage.body.items.map((item) => item.id)).toEqual([item1.id]);
+    expect(typeof firstPage.body.nextCursor).toBe('string');
+
+    const secondPage = await request(app)
+      .get('/api/items')
+      .query({ ...query, cursor: firstPage.body.nextCursor });
+
+    expect(secondPage.status).toBe(200);
+    expect(secondPage.body.items.map((item) => item.id)).toEqual([item2.id]);
+    expect(secondPage.body.nextCursor).toBeNull();
+  });
+
+  it('should reject an unknown tag mode', async () => {
+    const response = await request(app)
+      .get('/api/items')
+      .query({ tags: 'test-budget', tagMode: 'some' });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toHaveProperty('error');
+  });
+
+  it('should include pagination totals in the response', async () => {
+    const response = await request(app)
+      .get('/api/items')
+      .query({ page: '1', limit: '1' });
 
     expect(response.status).toBe(200);
     expect(response.body.items.length).toBe(1);
-    expect(response.body.items[0].category).toBe('Category B');
+    expect(response.body.total).toBeGreaterThanOrEqual(2);
+    expect(response.body.totalPages).toBe(response.body.total);
+  });
+
+  it('should sort items by name', async () => {
+    const response = await request(app)
+      .get('/api/items')
+      .query({ sort: 'name', order: 'asc', limit: '100' });
+
+    expect(response.status).toBe(200);
+    const names = response.body.items.map((item) => item.name);
+    expect(names).toEqual([...names].sort());
+  });
+
+  it('should sort unrated items last when sorting by rating', async () => {
+    const response = await request(app)
+      .get('/api/items')
+      .query({ sort: 'averageRating', order: 'desc', limit: '100' });
+
+    expect(response.status).toBe(200);
+    const ratings = response.body.items.map((item) => item.averageRating);
+    const firstUnrated = ratings.indexOf(null);
+    if (firstUnrated !== -1) {
+      expect(ratings.slice(firstUnrated).every((r) => r === null)).toBe(true);
+    }
+    const rated = ratings.filter((r) => r !== null);
+    expect(rated).toEqual([...rated].sort((a, b) => b - a));
+  });
+
+  it('should filter items by rating range', async () => {
+    const response = await request(app)
+      .get('/api/items')
+      .query({ minRating: '4.5', maxRating: '5', limit: '100' });
+
+    expect(response.status).toBe(200);
+    const ids = response.body.items.map((item) => item.id);
+    expect(ids).toContain(item1.id);
+    expect(ids).not.toContain(item2.id);
+  });
+
+  it('should filter items without reviews', async () => {
+    const response = await request(app)
+      .get('/api/items')
+      .query({ hasReviews: 'false', limit: '100' });
+
+    expect(response.status).toBe(200);
+    const ids = response.body.items.map((item) => item.id);
+    expect(ids).toContain(item2.id);
+    expect(ids).not.toContain(item1.id);
+  });
+
+  it('should reject an inverted rating range', async () => {
+    const response = await request(app)
+      .get('/api/items')
+      .query({ minRating: '4', maxRating: '2' });
+
+    expect(response.status).toBe(400);
   });
 
   it('should fetch item details by ID', async () => {
@@ -86,20 +351,209 @@ describe('Items API', () => {
     expect(response.body).toHaveProperty('reviews');
     expect(Array.isArray(response.body.reviews)).toBe(true);
     expect(response.body.reviews.length).toBe(2);
+    for (const review of response.body.reviews) {
+      expect(Object.keys(review.user).sort()).toEqual(['id', 'username']);
+    }
   });
 
   it('should return 404 for non-existent item', async () => {
     const response = await request(app).get('/api/items/999999');
 
     expect(response.status).toBe(404);
-    expect(response.body).toHaveProperty('error', 'Item not found');
+    expect(response.body.error).toEqual({
+      code: 'NOT_FOUND',
+      message: 'Item not found',
+      details: null,
+      requestId: response.headers['x-request-id'],
+    });
+  });
+
+  it('should echo a client-supplied request ID in errors', async () => {
+    const response = await request(app)
+      .get('/api/items/999999')
+      .set('X-Request-Id', 'items-test-request');
+
+    expect(response.headers['x-request-id']).toBe('items-test-request');
+    expect(response.body).toHaveProperty(
+      'error.requestId',
+      'items-test-request'
+    );
+  });
+
+  it('should return 404 for an unknown route', async () => {
+    const response = await request(app).get('/api/items/1/unknown');
+
+    expect(response.status).toBe(404);
+    expect(response.body).toHaveProperty('error.code', 'NOT_FOUND');
   });
 
   it('should return 400 for invalid item ID', async () => {
     const response = await request(app).get('/api/items/invalid-id');
 
     expect(response.status).toBe(400);
-    expect(response.body).toHaveProperty('error', 'Invalid item ID');
+    expect(response.body).toHaveProperty('error.message', 'Invalid item ID');
+  });
+
+  it('should allow an admin to create an item', async () => {
+    const response = await request(app)
+      .post('/api/items')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        name: 'Admin Created Item',
+        description: 'Created through the API',
+        categoryId: childCategory.id,
+        tags: ['Test Budget', 'Test Gift'],
+      });
+
+    expect(response.status).toBe(201);
+    expect(response.body.tags.map((tag) => tag.slug)).toEqual([
+      'test-budget',
+      'test-gift',
+    ]);
+    expect(response.body).toHaveProperty('id');
+    expect(response.body).toHaveProperty('name', 'Admin Created Item');
+    expect(response.body.category).toHaveProperty('slug', 'test-headphones');
+    createdItemId = response.body.id;
+  });
+
+  it('should reject an item in a non-existent category', async () => {
+    const response = await request(app)
+      .post('/api/items')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Lost Item', categoryId: 999999 });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toHaveProperty('error.message', 'Category not found');
+  });
+
+  it('should reject invalid item data', async () => {
+    const response = await request(app)
+      .post('/api/items')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: '' });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toHaveProperty('error.code', 'VALIDATION_ERROR');
+    expect(response.body.error.details[0]).toHaveProperty('path', ['name']);
+  });
+
+  it('should not allow a regular user to create an item', async () => {
+    const response = await request(app)
+      .post('/api/items')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ name: 'Sneaky Item' });
+
+    expect(response.status).toBe(403);
+    expect(response.body).toHaveProperty(
+      'error.message',
+      'Insufficient permissions'
+    );
+  });
+
+  it('should require authentication to create an item', async () => {
+    const response = await request(app)
+      .post('/api/items')
+      .send({ name: 'Anonymous Item' });
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should allow an admin to update an item', async () => {
+    const response = await request(app)
+      .put(`/api/items/${createdItemId}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Admin Updated Item', categoryId: null });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveProperty('name', 'Admin Updated Item');
+    expect(response.body).toHaveProperty('category', null);
+    expect(response.body).toHaveProperty(
+      'description',
+      'Created through the API'
+    );
+  });
+
+  it('should return 404 when updating a non-existent item', async () => {
+    const response = await request(app)
+      .put('/api/items/999999')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Ghost Item' });
+
+    expect(response.status).toBe(404);
+    expect(response.body).toHaveProperty('error.message', 'Item not found');
+  });
+
+  it('should not allow a regular user to delete an item', async () => {
+    const response = await request(app)
+      .delete(`/api/items/${createdItemId}`)
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect(response.status).toBe(403);
+  });
+
+  it('should allow an admin to delete an item', async () => {
+    const response = await request(app)
+      .delete(`/api/items/${createdItemId}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveProperty(
+      'message',
+      'Item deleted successfully.'
+    );
+
+    const lookup = await request(app).get(`/api/items/${createdItemId}`);
+    expect(lookup.status).toBe(404);
+  });
+
+  describe('my review', () => {
+    let reviewItem;
+
+    beforeAll(async () => {
+      reviewItem = await prisma.item.create({
+        data: { name: 'Upsert Review Item' },
+      });
+    });
+
+    it('should create the caller review on first write', async () => {
+      const response = await request(app)
+        .put(`/api/items/${reviewItem.id}/my-review`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ rating: 3, content: 'It is fine.' });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toHaveProperty('rating', 3);
+      expect(response.body).toHaveProperty('itemId', reviewItem.id);
+    });
+
+    it('should update the caller review on later writes', async () => {
+      const response = await request(app)
+        .put(`/api/items/${reviewItem.id}/my-review`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ rating: 5, content: 'It grew on me.' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('rating', 5);
+      expect(response.body).toHaveProperty('edited', true);
+
+      const item = await request(app).get(`/api/items/${reviewItem.id}`);
+      expect(item.body).toHaveProperty('reviewCount', 1);
+      expect(item.body).toHaveProperty('averageRating', 5);
+    });
+
+    it('should return 404 for a non-existent item', async () => {
+      const response = await request(app)
+        .put('/api/items/999999/my-review')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ rating: 4, content: 'Ghost review.' });
+
+      expect(response.status).toBe(404);
+      expect(response.body).toHaveProperty('error.message', 'Item not found');
+    });
+
+    afterAll(async () => {
+      await prisma.item.delete({ where: { id: reviewItem.id } });
+    });
   });
 
   afterAll(async () => {
@@ -114,6 +568,17 @@ describe('Items API', () => {
         id: { in: [item1.id, item2.id] },
       },
     });
+    await prisma.tag.deleteMany({
+      where: { slug: { in: ['test-budget', 'test-wireless', 'test-gift'] } },
+    });
+    await prisma.category.deleteMany({
+      where: { id: { in: [childCategory.id, parentCategory.id] } },
+    });
+    await prisma.user.deleteMany({
+      where: {
+        email: { in: ['itemadmin@example.com', 'itemuser@example.com'] },
+      },
+    });
     await prisma.$disconnect();
   });
 });
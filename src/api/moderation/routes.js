@@ -0,0 +1,277 @@
+const express = require('express');
+const prisma = require('../../lib/prisma');
+const { authenticateToken, requireRole } = require('../../middleware/auth');
+const { asyncHandler } = require('../../middleware/asyncHandler');
+const {
+  BadRequestError,
+  ValidationError,
+  NotFoundError,
+} = require('../../lib/errors');
+const { applyRatingChange } = require('../../lib/ratings');
+const { paginationQuery, paginate } = require('../../lib/pagination');
+const { reportInclude, serializeReport } = require('../../lib/serializers');
+const { documentRoutes } = require('../../lib/openapi/registry');
+const schemas = require('../../lib/openapi/schemas');
+const { z } = require('zod');
+
+const router = express.Router();
+const doc = documentRoutes('/api/moderation', 'Moderation');
+
+// Every moderation endpoint is admin only
+router.use(authenticateToken, requireRole('admin'));
+
+// Reports as returned to moderators
+const Report = schemas.Report.extend({
+  reporter: schemas.UserSummary,
+  resolvedBy: schemas.UserSummary.nullable(),
+  review: schemas.Review.nullable(),
+  comment: schemas.Comment.nullable(),
+});
+
+// Schema for the moderation queue query parameters
+const getReportsSchema = z.object({
+  status: z.enum(['open', 'resolved', 'dismissed']).default('open'),
+  type: z.enum(['review', 'comment']).optional(),
+  ...paginationQuery,
+});
+
+// GET /api/moderation/reports
+// List reports, oldest first so the queue is worked in order
+doc('get', '/reports', {
+  summary: 'List reports',
+  auth: 'admin',
+  query: getReportsSchema,
+  responses: {
+    200: ['A page of reports, oldest first', schemas.page('reports', Report)],
+  },
+});
+router.get(
+  '/reports',
+  asyncHandler(async (req, res) => {
+    const { status, type, page, limit, cursor } = getReportsSchema.parse(
+      req.query
+    );
+
+    const where = { status };
+
+    if (type === 'review') {
+      where.reviewId = { not: null };
+    } else if (type === 'comment') {
+      where.commentId = { not: null };
+    }
+
+    const pagination = paginate(
+      [
+        { field: 'createdAt', direction: 'asc', type: 'date' },
+        { field: 'id', direction: 'asc', type: 'integer' },
+      ],
+      { page, limit, cursor }
+    );
+
+    const [rows, total] = await prisma.$transaction([
+      prisma.report.findMany({
+        where: pagination.where(where),
+        orderBy: pagination.orderBy,
+        skip: pagination.skip,
+        take: pagination.take,
+        include: reportInclude,
+      }),
+      prisma.report.count({ where }),
+    ]);
+
+    const { rows: reports, nextCursor } = pagination.toPage(rows);
+
+    res.json({
+      page: cursor ? undefined : page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      nextCursor,
+      reports: reports.map(serializeReport),
+    });
+  })
+);
+
+// GET /api/moderation/reports/:id
+// Fetch a single report with the reported content
+doc('get', '/reports/:id', {
+  summary: 'Get a report',
+  auth: 'admin',
+  responses: { 200: ['The report', Report] },
+  errors: [404],
+});
+router.get(
+  '/reports/:id',
+  asyncHandler(async (req, res) => {
+    const reportId = parseInt(req.params.id, 10);
+    if (isNaN(reportId)) {
+      throw new ValidationError('Invalid report ID');
+    }
+
+    const report = await prisma.report.findUnique({
+      where: { id: reportId },
+      include: reportInclude,
+    });
+
+    if (!report) {
+      throw new NotFoundError('Report not found');
+    }
+
+    res.json(serializeReport(report));
+  })
+);
+
+// Schema validation for closing a report
+const closeReportSchema = z.object({
+  note: z.string().min(1).max(1000).optional(),
+});
+
+// Look up an open report, throwing when it cannot be closed
+const findOpenReport = async (req) => {
+  const reportId = parseInt(req.params.id, 10);
+  if (isNaN(reportId)) {
+    throw new ValidationError('Invalid report ID');
+  }
+
+  const report = await prisma.report.findUnique({
+    where: { id: reportId },
+  });
+
+  if (!report) {
+    throw new NotFoundError('Report not found');
+  }
+
+  if (report.status !== 'open') {
+    throw new BadRequestError('Report has already been closed.');
+  }
+
+  return report;
+};
+
+// Close an open report inside a transaction. Only one of several
+// concurrent requests closing the same report gets to claim it.
+const claimOpenReport = async (tx, reportId, data) => {
+  const { count } = await tx.report.updateMany({
+    where: { id: reportId, status: 'open' },
+    data,
+  });
+
+  if (count === 0) {
+    throw new BadRequestError('Report has already been closed.');
+  }
+};
+
+// Hide reported content, taking hidden reviews out of the item stats
+const hideReportedContent = async (tx, report) => {
+  const hiddenAt = new Date();
+
+  if (report.reviewId) {
+    const { count } = await tx.review.updateMany({
+      where: { id: report.reviewId, hiddenAt: null },
+      data: { hiddenAt },
+    });
+    if (count === 0) return;
+
+    // Read back under the row lock the update took, so a concurrent delete
+    // sees the review as hidden or has already been recorded here
+    const review = await tx.review.findUnique({
+      where: { id: report.reviewId },
+    });
+
+    // Deleted reviews were already taken out of the item stats
+    if (!review.deletedAt) {
+      await applyRatingChange(tx, review.itemId, {
+        removed: [review.rating],
+      });
+    }
+  } else {
+    await tx.comment.updateMany({
+      where: { id: report.commentId, hiddenAt: null },
+      data: { hiddenAt },
+    });
+  }
+};
+
+// POST /api/moderation/reports/:id/resolve
+// Uphold a report: hide the content and close every open report against it
+doc('post', '/reports/:id/resolve', {
+  summary: 'Resolve a report',
+  description:
+    'Hides the reported content and closes every open report against it.',
+  auth: 'admin',
+  body: closeReportSchema,
+  responses: { 200: ['Report resolved', Report] },
+  errors: [404],
+});
+router.post(
+  '/reports/:id/resolve',
+  asyncHandler(async (req, res) => {
+    const { note } = closeReportSchema.parse(req.body);
+
+    const report = await findOpenReport(req);
+
+    const resolved = await prisma.$transaction(async (tx) => {
+      const resolution = {
+        status: 'resolved',
+        resolvedById: req.user.id,
+        resolutionNote: note,
+        resolvedAt: new Date(),
+      };
+
+      await claimOpenReport(tx, report.id, resolution);
+      await hideReportedContent(tx, report);
+
+      await tx.report.updateMany({
+        where: {
+          status: 'open',
+          reviewId: report.reviewId,
+          commentId: report.commentId,
+        },
+        data: resolution,
+      });
+
+      return tx.report.findUnique({
+        where: { id: report.id },
+        include: reportInclude,
+      });
+    });
+
+    res.json(serializeReport(resolved));
+  })
+);
+
+// POST /api/moderation/reports/:id/dismiss
+// Reject a report, leaving the content visible
+doc('post', '/reports/:id/dismiss', {
+  summary: 'Dismiss a report',
+  auth: 'admin',
+  body: closeReportSchema,
+  responses: { 200: ['Report dismissed', Report] },
+  errors: [404],
+});
+router.post(
+  '/reports/:id/dismiss',
+  asyncHandler(async (req, res) => {
+    const { note } = closeReportSchema.parse(req.body);
+
+    const report = await findOpenReport(req);
+
+    const dismissed = await prisma.$transaction(async (tx) => {
+      await claimOpenReport(tx, report.id, {
+        status: 'dismissed',
+        resolvedById: req.user.id,
+        resolutionNote: note,
+        resolvedAt: new Date(),
+      });
+
+      return tx.report.findUnique({
+        where: { id: report.id },
+        include: reportInclude,
+      });
+    });
+
+    res.json(serializeReport(dismissed));
+  })
+);
+
+module.exports = router;
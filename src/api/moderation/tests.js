@@ -0,0 +1,239 @@
+const { describe, it, expect, beforeAll, afterAll } = require('@jest/globals');
+const request = require('supertest');
+const { createApp } = require('../../app');
+const prisma = require('../../lib/prisma');
+const bcrypt = require('bcrypt');
+
+const app = createApp();
+
+describe('Moderation API', () => {
+  let adminToken;
+  let reporterToken;
+  let itemId;
+  let reviewId;
+  let commentId;
+  let reviewReportId;
+  let commentReportId;
+
+  const emails = [
+    'modadmin@example.com',
+    'modauthor@example.com',
+    'modreporter@example.com',
+  ];
+
+  beforeAll(async () => {
+    const hashedPassword = await bcrypt.hash('password123', 10);
+
+    await prisma.user.create({
+      data: {
+        username: 'modadmin',
+        email: 'modadmin@example.com',
+        password: hashedPassword,
+        role: 'admin',
+      },
+    });
+    const author = await prisma.user.create({
+      data: {
+        username: 'modauthor',
+        email: 'modauthor@example.com',
+        password: hashedPassword,
+        emailVerified: true,
+      },
+    });
+    await prisma.user.create({
+      data: {
+        username: 'modreporter',
+        email: 'modreporter@example.com',
+        password: hashedPassword,
+      },
+    });
+
+    const adminLogin = await request(app)
+      .post('/api/users/login')
+      .send({ email: 'modadmin@example.com', password: 'password123' });
+    adminToken = adminLogin.body.token;
+
+    const authorLogin = await request(app)
+      .post('/api/users/login')
+      .send({ email: 'modauthor@example.com', password: 'password123' });
+
+    const reporterLogin = await request(app)
+      .post('/api/users/login')
+      .send({ email: 'modreporter@example.com', password: 'password123' });
+    reporterToken = reporterLogin.body.token;
+
+    const item = await prisma.item.create({
+      data: { name: 'Moderation Test Item' },
+    });
+    itemId = item.id;
+
+    const review = await request(app)
+      .post('/api/reviews')
+      .set('Authorization', `Bearer ${authorLogin.body.token}`)
+      .send({ itemId, rating: 1, content: 'Abusive review.' });
+    reviewId = review.body.id;
+
+    const comment = await prisma.comment.create({
+      data: {
+        content: 'A borderline comment.',
+        userId: author.id,
+        reviewId,
+      },
+    });
+    commentId = comment.id;
+  });
+
+  it('should report a review', async () => {
+    const response = await request(app)
+      .post(`/api/reviews/${reviewId}/report`)
+      .set('Authorization', `Bearer ${reporterToken}`)
+      .send({ reason: 'abuse', details: 'Insults other users.' });
+
+    expect(response.status).toBe(201);
+    expect(response.body).toHaveProperty('status', 'open');
+    expect(response.body).toHaveProperty('reviewId', reviewId);
+    reviewReportId = response.body.id;
+  });
+
+  it('should not report the same review twice', async () => {
+    const response = await request(app)
+      .post(`/api/reviews/${reviewId}/report`)
+      .set('Authorization', `Bearer ${reporterToken}`)
+      .send({ reason: 'spam' });
+
+    expect(response.status).toBe(409);
+    expect(response.body).toHaveProperty('error.code', 'CONFLICT');
+    expect(response.body).toHaveProperty(
+      'error.message',
+      'You have already reported this review.'
+    );
+  });
+
+  it('should report a comment', async () => {
+    const response = await request(app)
+      .post(`/api/comments/${commentId}/report`)
+      .set('Authorization', `Bearer ${reporterToken}`)
+      .send({ reason: 'off_topic' });
+
+    expect(response.status).toBe(201);
+    expect(response.body).toHaveProperty('commentId', commentId);
+    commentReportId = response.body.id;
+  });
+
+  it('should not report the same comment twice', async () => {
+    const responses = await Promise.all(
+      [0, 1].map(() =>
+        request(app)
+          .post(`/api/comments/${commentId}/report`)
+          .set('Authorization', `Bearer ${reporterToken}`)
+          .send({ reason: 'spam' })
+      )
+    );
+
+    expect(responses.map((response) => response.status)).toEqual([409, 409]);
+    expect(responses[0].body).toHaveProperty(
+      'error.message',
+      'You have already reported this comment.'
+    );
+    const reports = await prisma.report.count({
+      where: { commentId },
+    });
+    expect(reports).toBe(1);
+  });
+
+  it('should not let regular users see the moderation queue', async () => {
+    const response = await request(app)
+      .get('/api/moderation/reports')
+      .set('Authorization', `Bearer ${reporterToken}`);
+
+    expect(response.status).toBe(403);
+  });
+
+  it('should list open reports in the moderation queue', async () => {
+    const response = await request(app)
+      .get('/api/moderation/reports')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .query({ type: 'review', limit: '100' });
+
+    expect(response.status).toBe(200);
+    const report = response.body.reports.find((r) => r.id === reviewReportId);
+    expect(report.review).toHaveProperty('content', 'Abusive review.');
+    expect(report.reporter).toHaveProperty('username', 'modreporter');
+    expect(
+      response.body.reports.every((r) => r.reviewId !== null)
+    ).toBe(true);
+  });
+
+  it('should hide the review when its report is resolved', async () => {
+    // Resolved twice at once; only one request may take the rating out
+    const responses = await Promise.all(
+      [0, 1].map(() =>
+        request(app)
+          .post(`/api/moderation/reports/${reviewReportId}/resolve`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ note: 'Violates the guidelines.' })
+      )
+    );
+
+    expect(responses.map((r) => r.status).sort()).toEqual([200, 400]);
+    const response = responses.find((r) => r.status === 200);
+    expect(response.body).toHaveProperty('status', 'resolved');
+    expect(response.body.resolvedBy).toHaveProperty('username', 'modadmin');
+    expect(response.body.review.hiddenAt).not.toBeNull();
+
+    const detail = await request(app).get(`/api/reviews/${reviewId}`);
+    expect(detail.status).toBe(404);
+
+    const list = await request(app)
+      .get('/api/reviews')
+      .query({ itemId: itemId.toString() });
+    expect(list.body.reviews.length).toBe(0);
+
+    const item = await prisma.item.findUnique({ where: { id: itemId } });
+    expect(item.reviewCount).toBe(0);
+    expect(item.ratingSum).toBe(0);
+
+    // The review is kept for auditing
+    const stored = await prisma.review.findUnique({ where: { id: reviewId } });
+    expect(stored).not.toBeNull();
+  });
+
+  it('should not close a report twice', async () => {
+    const response = await request(app)
+      .post(`/api/moderation/reports/${reviewReportId}/dismiss`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({});
+
+    expect(response.status).toBe(400);
+    expect(response.body).toHaveProperty(
+      'error.message',
+      'Report has already been closed.'
+    );
+  });
+
+  it('should leave the comment visible when its report is dismissed', async () => {
+    const response = await request(app)
+      .post(`/api/moderation/reports/${commentReportId}/dismiss`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({});
+
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveProperty('status', 'dismissed');
+
+    const comment = await prisma.comment.findUnique({
+      where: { id: commentId },
+    });
+    expect(comment.hiddenAt).toBeNull();
+  });
+
+  afterAll(async () => {
+    // Clean up test data
+    await prisma.item.deleteMany({
+      where: { id: itemId },
+    });
+    await prisma.user.deleteMany({
+      where: { email: { in: emails } },
+    });
+    await prisma.$disconnect();
+  });
+});
@@ -1,178 +1,228 @@
 const express = require('express');
 const prisma = require('../../lib/prisma');
-const { authenticateToken } = require('../../middleware/auth');
+const {
+  authenticateToken,
+  requireVerifiedEmail,
+} = require('../../middleware/auth');
+const { asyncHandler } = require('../../middleware/asyncHandler');
+const {
+  BadRequestError,
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+} = require('../../lib/errors');
+const { writeRateLimit } = require('../../middleware/rateLimit');
+const { applyRatingChange } = require('../../lib/ratings');
+const { createReview, updateReview } = require('../../lib/reviews');
+const {
+  castVote,
+  withdrawVote,
+  REVIEW_SORTS,
+  reviewSortFields,
+} = require('../../lib/votes');
+const { paginationQuery, paginate } = require('../../lib/pagination');
+const { reportSchema, fileReport } = require('../../lib/reports');
+const {
+  VISIBLE,
+  isVisible,
+  restorableUntil,
+} = require('../../lib/visibility');
+const {
+  dateRangeQuery,
+  validDateRange,
+  createdAtRange,
+} = require('../../lib/filters');
+const {
+  reviewInclude,
+  itemSummarySelect,
+  commentInclude,
+  serializeReview,
+  serializeReport,
+} = require('../../lib/serializers');
+const { documentRoutes } = require('../../lib/openapi/registry');
+const schemas = require('../../lib/openapi/schemas');
 const { z } = require('zod');
 
 const router = express.Router();
+const doc = documentRoutes('/api/reviews', 'Reviews');
 
 // Schema validation
 const createReviewSchema = z.object({
-  itemId: z.number(),
-  rating: z.number().min(1).max(5),
+  itemId: z.number().int(),
+  rating: z.number().int().min(1).max(5),
   content: z.string().min(1),
 });
 
 const updateReviewSchema = z.object({
-  rating: z.number().min(1).max(5).optional(),
+  rating: z.number().int().min(1).max(5).optional(),
   content: z.string().min(1).optional(),
 });
 
 // Create review
-router.post('/', authenticateToken, async (req, res) => {
-  try {
+doc('post', '/', {
+  summary: 'Review an item',
+  auth: true,
+  body: createReviewSchema,
+  responses: { 201: ['Review created', schemas.Review] },
+  errors: [403, 404, 409, 429],
+});
+router.post(
+  '/',
+  authenticateToken,
+  requireVerifiedEmail,
+  writeRateLimit,
+  asyncHandler(async (req, res) => {
     const { itemId, rating, content } = createReviewSchema.parse(req.body);
-    const userId = req.user.id;
 
-    // Ensure the user hasn't already reviewed this item
-    const existingReview = await prisma.review.findUnique({
-      where: {
-        userId_itemId: {
-          userId,
-          itemId,
-        },
-      },
+    const review = await createReview(req.user.id, itemId, {
+      rating,
+      content,
     });
 
-    if (existingReview) {
-      return res
-        .status(400)
-        .json({ error: 'You have already reviewed this item.' });
-    }
+    res.status(201).json(serializeReview(review));
+  })
+);
 
-    const review = await prisma.review.create({
-      data: {
-        rating,
-        content,
-        user: { connect: { id: userId } },
-        item: { connect: { id: itemId } },
-      },
-      include: {
-        user: {
-          select: {
-            id: true,
-            username: true,
-          },
-        },
-      },
-    });
+// Filters shared by the public review list and the user's own reviews
+const reviewFilterQuery = {
+  itemId: z.coerce.number().int().optional(),
+  minRating: z.coerce.number().int().min(1).max(5).optional(),
+  maxRating: z.coerce.number().int().min(1).max(5).optional(),
+  ...dateRangeQuery,
+};
 
-    res.status(201).json(review);
-  } catch (error) {
-    if (error instanceof z.ZodError) {
-      res.status(400).json({ error: error.errors });
-    } else {
-      console.error(error);
-      res.status(500).json({ error: 'Internal server error' });
-    }
+const buildReviewWhere = ({ itemId, minRating, maxRating, from, to }) => {
+  const where = createdAtRange({ from, to });
+
+  if (itemId) {
+    where.itemId = itemId;
   }
-});
 
-// Get all reviews with optional filters and pagination
-const getAllReviewsSchema = z.object({
-  itemId: z.string().optional(),
-  userId: z.string().optional(),
-  page: z.string().regex(/^\d+$/).transform(Number).default('1'),
-  limit: z.string().regex(/^\d+$/).transform(Number).default('10'),
-});
+  if (minRating !== undefined || maxRating !== undefined) {
+    where.rating = { gte: minRating, lte: maxRating };
+  }
 
-router.get('/', async (req, res) => {
-  try {
-    const { itemId, userId, page, limit } = getAllReviewsSchema.parse(
-      req.query
-    );
+  return where;
+};
 
-    const where = {};
+// Get all reviews with optional filters and pagination
+const getAllReviewsSchema = z
+  .object({
+    ...reviewFilterQuery,
+    userId: z.coerce.number().int().optional(),
+    sort: z.enum(REVIEW_SORTS).default('recent'),
+    ...paginationQuery,
+  })
+  .refine(...validDateRange);
+
+doc('get', '/', {
+  summary: 'List reviews',
+  query: getAllReviewsSchema,
+  responses: {
+    200: ['A page of reviews', schemas.page('reviews', schemas.Review)],
+  },
+});
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    const { userId, sort, page, limit, cursor, ...filters } =
+      getAllReviewsSchema.parse(req.query);
 
-    if (itemId) {
-      where.itemId = parseInt(itemId, 10);
-    }
+    // Hidden and deleted reviews are left out of public listings
+    const where = { ...buildReviewWhere(filters), ...VISIBLE };
 
     if (userId) {
-      where.userId = parseInt(userId, 10);
+      where.userId = userId;
     }
 
-    const reviews = await prisma.review.findMany({
-      where,
-      skip: (page - 1) * limit,
-      take: limit,
-      include: {
-        user: {
-          select: {
-            id: true,
-            username: true,
-          },
-        },
-        item: {
-          select: {
-            id: true,
-            name: true,
-          },
-        },
-      },
-      orderBy: {
-        createdAt: 'desc',
-      },
+    const pagination = paginate(reviewSortFields(sort), {
+      page,
+      limit,
+      cursor,
     });
 
+    const [rows, total] = await prisma.$transaction([
+      prisma.review.findMany({
+        where: pagination.where(where),
+        orderBy: pagination.orderBy,
+        skip: pagination.skip,
+        take: pagination.take,
+        include: {
+          ...reviewInclude,
+          item: { select: itemSummarySelect },
+        },
+      }),
+      prisma.review.count({ where }),
+    ]);
+
+    const { rows: reviews, nextCursor } = pagination.toPage(rows);
+
     res.json({
-      page,
+      page: cursor ? undefined : page,
       limit,
-      reviews,
+      total,
+      totalPages: Math.ceil(total / limit),
+      nextCursor,
+      reviews: reviews.map(serializeReview),
     });
-  } catch (error) {
-    if (error instanceof z.ZodError) {
-      res.status(400).json({ error: error.errors });
-    } else {
-      console.error(error);
-      res.status(500).json({ error: 'Internal server error' });
-    }
-  }
-});
+  })
+);
 
 // Get a single review by ID
-router.get('/:id', async (req, res) => {
-  try {
+doc('get', '/:id', {
+  summary: 'Get a review with its comments',
+  responses: {
+    200: [
+      'The review',
+      schemas.Review.extend({ comments: z.array(schemas.Comment) }),
+    ],
+  },
+  errors: [404],
+});
+router.get(
+  '/:id',
+  asyncHandler(async (req, res) => {
     const reviewId = parseInt(req.params.id, 10);
     if (isNaN(reviewId)) {
-      return res.status(400).json({ error: 'Invalid review ID' });
+      throw new ValidationError('Invalid review ID');
     }
 
-    const review = await prisma.review.findUnique({
-      where: { id: reviewId },
+    const review = await prisma.review.findFirst({
+      where: { id: reviewId, ...VISIBLE },
       include: {
-        user: {
-          select: { id, username },
-        },
-        item: {
-          select: { id, name, description, category },
-        },
+        ...reviewInclude,
+        item: { select: itemSummarySelect },
         comments: {
-          include: {
-            user: {
-              select: { id, username },
-            },
-          },
+          where: VISIBLE,
+          include: commentInclude,
         },
       },
     });
 
     if (!review) {
-      return res.status(404).json({ error: 'Review not found' });
+      throw new NotFoundError('Review not found');
     }
 
-    res.json(review);
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+    res.json(serializeReview(review));
+  })
+);
 
 // Update a review
-router.put('/:id', authenticateToken, async (req, res) => {
-  try {
+doc('put', '/:id', {
+  summary: 'Edit your review',
+  auth: true,
+  body: updateReviewSchema,
+  responses: { 200: ['Review updated', schemas.Review] },
+  errors: [403, 404],
+});
+router.put(
+  '/:id',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
     const reviewId = parseInt(req.params.id, 10);
     if (isNaN(reviewId)) {
-      return res.status(400).json({ error: 'Invalid review ID' });
+      throw new ValidationError('Invalid review ID');
     }
 
     const { rating, content } = updateReviewSchema.parse(req.body);
@@ -183,49 +233,40 @@ router.put('/:id', authenticateToken, async (req, res) => {
       where: { id: reviewId },
     });
 
-    if (!existingReview) {
-      return res.status(404).json({ error: 'Review not found' });
+    if (!existingReview || !isVisible(existingReview)) {
+      throw new NotFoundError('Review not found');
     }
 
     if (existingReview.userId !== userId) {
-      return res
-        .status(403)
-        .json({ error: 'You are not authorized to update this review.' });
+      throw new ForbiddenError('You are not authorized to update this review.');
     }
 
-    const updatedReview = await prisma.review.update({
-      where: { id: reviewId },
-      data: {
-        rating: rating !== undefined ? rating : existingReview.rating,
-        content: content !== undefined ? content : existingReview.content,
-      },
-      include: {
-        user: {
-          select: {
-            id: true,
-            username: true,
-          },
-        },
-      },
+    const updatedReview = await updateReview(existingReview, {
+      rating,
+      content,
     });
 
-    res.json(updatedReview);
-  } catch (error) {
-    if (error instanceof z.ZodError) {
-      res.status(400).json({ error: error.errors });
-    } else {
-      console.error(error);
-      res.status(500).json({ error: 'Internal server error' });
-    }
-  }
-});
+    res.json(serializeReview(updatedReview));
+  })
+);
 
 // Delete a review
-router.delete('/:id', authenticateToken, async (req, res) => {
-  try {
+doc('delete', '/:id', {
+  summary: 'Delete a review',
+  description:
+    'Authors can restore a deleted review within the grace period. ' +
+    'Admins may delete any review, and their deletes cannot be restored.',
+  auth: true,
+  responses: { 200: ['Review deleted', schemas.Deleted] },
+  errors: [403, 404],
+});
+router.delete(
+  '/:id',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
     const reviewId = parseInt(req.params.id, 10);
     if (isNaN(reviewId)) {
-      return res.status(400).json({ error: 'Invalid review ID' });
+      throw new ValidationError('Invalid review ID');
     }
 
     const userId = req.user.id;
@@ -235,59 +276,370 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       where: { id: reviewId },
     });
 
-    if (!existingReview) {
-      return res.status(404).json({ error: 'Review not found' });
+    // Hidden reviews are kept for auditing; only admins may remove them
+    if (
+      !existingReview ||
+      existingReview.deletedAt ||
+      (existingReview.hiddenAt && req.user.role !== 'admin')
+    ) {
+      throw new NotFoundError('Review not found');
     }
 
-    if (existingReview.userId !== userId) {
-      return res
-        .status(403)
-        .json({ error: 'You are not authorized to delete this review.' });
+    // Admins may moderate any review; everyone else only their own
+    if (existingReview.userId !== userId && req.user.role !== 'admin') {
+      throw new ForbiddenError('You are not authorized to delete this review.');
     }
 
-    await prisma.review.delete({
-      where: { id: reviewId },
+    // Soft delete so comments from other users survive and the author can
+    // restore the review within the grace period
+    const deleted = await prisma.$transaction(async (tx) => {
+      // Only the request that actually deletes the row updates the stats
+      const { count } = await tx.review.updateMany({
+        where: { id: reviewId, deletedAt: null },
+        data: { deletedAt: new Date(), deletedById: userId },
+      });
+      if (count === 0) {
+        throw new NotFoundError('Review not found');
+      }
+
+      // Read back under the row lock the update took
+      const review = await tx.review.findUnique({ where: { id: reviewId } });
+
+      // Hidden reviews were already taken out of the item stats
+      if (!review.hiddenAt) {
+        await applyRatingChange(tx, review.itemId, {
+          removed: [review.rating],
+        });
+      }
+
+      return review;
     });
 
-    res.json({ message: 'Review deleted successfully.' });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
+    res.json({
+      message: 'Review deleted successfully.',
+      restorableUntil: restorableUntil(deleted),
+    });
+  })
+);
+
+// Get reviews by the authenticated user with filters and pagination
+const getMyReviewsSchema = z
+  .object({
+    ...reviewFilterQuery,
+    ...paginationQuery,
+  })
+  .refine(...validDateRange);
+
+doc('get', '/user/me', {
+  summary: 'List your reviews',
+  auth: true,
+  query: getMyReviewsSchema,
+  responses: {
+    200: ['A page of your reviews', schemas.page('reviews', schemas.Review)],
+  },
 });
+router.get(
+  '/user/me',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const { page, limit, cursor, ...filters } = getMyReviewsSchema.parse(
+      req.query
+    );
 
-// Get all reviews by the authenticated user
-router.get('/user/me', authenticateToken, async (req, res) => {
-  try {
-    const userId = req.user.id;
-
-    const reviews = await prisma.review.findMany({
-      where: { userId },
-      include: {
-        item: {
-          select: {
-            id: true,
-            name: true,
+    const where = {
+      ...buildReviewWhere(filters),
+      userId: req.user.id,
+      deletedAt: null,
+    };
+
+    const pagination = paginate(reviewSortFields(), { page, limit, cursor });
+
+    // Comments are only counted here; fetch them via GET /api/comments
+    const [rows, total] = await prisma.$transaction([
+      prisma.review.findMany({
+        where: pagination.where(where),
+        orderBy: pagination.orderBy,
+        skip: pagination.skip,
+        take: pagination.take,
+        include: {
+          item: { select: itemSummarySelect },
+          _count: {
+            select: { comments: true },
           },
         },
-        comments: {
-          include: {
-            user: {
-              select: { id, username },
-            },
-          },
-        },
-      },
-      orderBy: {
-        createdAt: 'desc',
-      },
+      }),
+      prisma.review.count({ where }),
+    ]);
+
+    const { rows: reviews, nextCursor } = pagination.toPage(rows);
+
+    res.json({
+      page: cursor ? undefined : page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      nextCursor,
+      reviews: reviews.map(serializeReview),
     });
+  })
+);
 
-    res.json({ reviews });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ error: 'Internal server error' });
+// Schema validation for voting on a review
+const voteSchema = z.object({
+  helpful: z.boolean(),
+});
+
+// Fetch a review for voting, rejecting missing reviews and self-votes
+const findVotableReview = async (req) => {
+  const reviewId = parseInt(req.params.id, 10);
+  if (isNaN(reviewId)) {
+    throw new ValidationError('Invalid review ID');
+  }
+
+  const review = await prisma.review.findFirst({
+    where: { id: reviewId, ...VISIBLE },
+  });
+
+  if (!review) {
+    throw new NotFoundError('Review not found');
+  }
+
+  if (review.userId === req.user.id) {
+    throw new ForbiddenError('You cannot vote on your own review.');
   }
+
+  return review;
+};
+
+// Vote a review helpful or not helpful, replacing any earlier vote
+doc('post', '/:id/vote', {
+  summary: 'Vote on a review',
+  auth: true,
+  body: voteSchema,
+  responses: { 200: ['Updated vote counts', schemas.VoteTally] },
+  errors: [403, 404],
+});
+router.post(
+  '/:id/vote',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const { helpful } = voteSchema.parse(req.body);
+
+    const review = await findVotableReview(req);
+
+    const updatedReview = await castVote(req.user.id, review.id, helpful);
+
+    res.json({
+      reviewId: review.id,
+      helpfulCount: updatedReview.helpfulCount,
+      notHelpfulCount: updatedReview.notHelpfulCount,
+      myVote: helpful,
+    });
+  })
+);
+
+// Withdraw the authenticated user's vote on a review
+doc('delete', '/:id/vote', {
+  summary: 'Withdraw your vote on a review',
+  auth: true,
+  responses: { 200: ['Updated vote counts', schemas.VoteTally] },
+  errors: [403, 404],
+});
+router.delete(
+  '/:id/vote',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const review = await findVotableReview(req);
+
+    const updatedReview = await withdrawVote(req.user.id, review.id);
+
+    if (!updatedReview) {
+      throw new NotFoundError('Vote not found');
+    }
+
+    res.json({
+      reviewId: review.id,
+      helpfulCount: updatedReview.helpfulCount,
+      notHelpfulCount: updatedReview.notHelpfulCount,
+      myVote: null,
+    });
+  })
+);
+
+// Report a review for moderation
+doc('post', '/:id/report', {
+  summary: 'Report a review',
+  auth: true,
+  body: reportSchema,
+  responses: { 201: ['Report filed', schemas.Report] },
+  errors: [404, 409],
+});
+router.post(
+  '/:id/report',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const reviewId = parseInt(req.params.id, 10);
+    if (isNaN(reviewId)) {
+      throw new ValidationError('Invalid review ID');
+    }
+
+    const { reason, details } = reportSchema.parse(req.body);
+
+    const review = await prisma.review.findFirst({
+      where: { id: reviewId, ...VISIBLE },
+    });
+
+    if (!review) {
+      throw new NotFoundError('Review not found');
+    }
+
+    const report = await fileReport(
+      req.user.id,
+      { reviewId },
+      { reason, details }
+    );
+
+    if (!report) {
+      throw new ConflictError('You have already reported this review.');
+    }
+
+    res.status(201).json(serializeReport(report));
+  })
+);
+
+// Restore a review the authenticated user deleted within the grace period
+doc('post', '/:id/restore', {
+  summary: 'Restore your deleted review',
+  auth: true,
+  responses: { 200: ['Review restored', schemas.Review] },
+  errors: [403, 404],
+});
+router.post(
+  '/:id/restore',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const reviewId = parseInt(req.params.id, 10);
+    if (isNaN(reviewId)) {
+      throw new ValidationError('Invalid review ID');
+    }
+
+    const existingReview = await prisma.review.findUnique({
+      where: { id: reviewId },
+    });
+
+    if (!existingReview || !existingReview.deletedAt) {
+      throw new NotFoundError('Review not found');
+    }
+
+    if (existingReview.userId !== req.user.id) {
+      throw new ForbiddenError(
+        'You are not authorized to restore this review.'
+      );
+    }
+
+    // Authors cannot undo a moderator's delete
+    if (existingReview.deletedById !== existingReview.userId) {
+      throw new ForbiddenError(
+        'This review was removed by a moderator and cannot be restored.'
+      );
+    }
+
+    if (restorableUntil(existingReview) < new Date()) {
+      throw new BadRequestError(
+        'The restore period for this review has expired.'
+      );
+    }
+
+    const restoredReview = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.review.updateMany({
+        where: { id: reviewId, deletedAt: { not: null } },
+        data: { deletedAt: null, deletedById: null },
+      });
+      if (count === 0) {
+        throw new NotFoundError('Review not found');
+      }
+
+      const restored = await tx.review.findUnique({
+        where: { id: reviewId },
+        include: reviewInclude,
+      });
+
+      if (!restored.hiddenAt) {
+        await applyRatingChange(tx, restored.itemId, {
+          added: [restored.rating],
+        });
+      }
+
+      return restored;
+    });
+
+    res.json(serializeReview(restoredReview));
+  })
+);
+
+// Get the edit history of a review, most recent version first
+const getRevisionsSchema = z.object({
+  ...paginationQuery,
 });
 
+doc('get', '/:id/revisions', {
+  summary: 'Get the edit history of a review',
+  query: getRevisionsSchema,
+  responses: {
+    200: [
+      'Earlier versions, most recent first',
+      schemas.page('revisions', schemas.ReviewRevision),
+    ],
+  },
+  errors: [404],
+});
+router.get(
+  '/:id/revisions',
+  asyncHandler(async (req, res) => {
+    const reviewId = parseInt(req.params.id, 10);
+    if (isNaN(reviewId)) {
+      throw new ValidationError('Invalid review ID');
+    }
+
+    const { page, limit, cursor } = getRevisionsSchema.parse(req.query);
+
+    const review = await prisma.review.findFirst({
+      where: { id: reviewId, ...VISIBLE },
+    });
+
+    if (!review) {
+      throw new NotFoundError('Review not found');
+    }
+
+    const pagination = paginate(
+      [
+        { field: 'createdAt', direction: 'desc', type: 'date' },
+        { field: 'id', direction: 'desc', type: 'integer' },
+      ],
+      { page, limit, cursor }
+    );
+
+    const [rows, total] = await prisma.$transaction([
+      prisma.reviewRevision.findMany({
+        where: pagination.where({ reviewId }),
+        orderBy: pagination.orderBy,
+        skip: pagination.skip,
+        take: pagination.take,
+      }),
+      prisma.reviewRevision.count({ where: { reviewId } }),
+    ]);
+
+    const { rows: revisions, nextCursor } = pagination.toPage(rows);
+
+    res.json({
+      page: cursor ? undefined : page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      nextCursor,
+      revisions,
+    });
+  })
+);
+
 module.exports = router;
@@ -1,9 +1,11 @@
 const { describe, it, expect, beforeAll, afterAll } = require('@jest/globals');
 const request = require('supertest');
-const app = require('../../server');
+const { createApp } = require('../../app');
 const prisma = require('../../lib/prisma');
 const bcrypt = require('bcrypt');
 
+const app = createApp();
+
 describe('Reviews API', () => {
   let token;
   let userId;
@@ -18,6 +20,7 @@ describe('Reviews API', () => {
         username: 'reviewer',
         email: 'reviewer@example.com',
         password: hashedPassword,
+        emailVerified: true,
       },
     });
     userId = user.id;
@@ -27,7 +30,6 @@ describe('Reviews API', () => {
       data: {
         name: 'Review Test Item',
         description: 'A test item for review purposes.',
-        category: 'Test Category',
       },
     });
     itemId = item.id;
@@ -55,9 +57,49 @@ describe('Reviews API', () => {
     expect(response.body.rating).toBe(5);
     expect(response.body.content).toBe('This is an excellent product!');
     expect(response.body.user).toHaveProperty('id', userId);
+    expect(response.body).toHaveProperty('edited', false);
     reviewId = response.body.id;
   });
 
+  it('should not allow an unverified user to post a review', async () => {
+    const hashedPassword = await bcrypt.hash('password123', 10);
+    await prisma.user.create({
+      data: {
+        username: 'unverified',
+        email: 'unverified@example.com',
+        password: hashedPassword,
+      },
+    });
+
+    const login = await request(app)
+      .post('/api/users/login')
+      .send({ email: 'unverified@example.com', password: 'password123' });
+
+    const response = await request(app)
+      .post('/api/reviews')
+      .set('Authorization', `Bearer ${login.body.token}`)
+      .send({ itemId, rating: 4, content: 'Not verified yet.' });
+
+    expect(response.status).toBe(403);
+    expect(response.body).toHaveProperty(
+      'error.message',
+      'Email address has not been verified'
+    );
+
+    await prisma.user.deleteMany({
+      where: { email: 'unverified@example.com' },
+    });
+  });
+
+  it('should update the item rating stats when a review is created', async () => {
+    const item = await prisma.item.findUnique({ where: { id: itemId } });
+
+    expect(item.reviewCount).toBe(1);
+    expect(item.ratingSum).toBe(5);
+    expect(item.averageRating).toBe(5);
+    expect(item.rating5Count).toBe(1);
+  });
+
   it('should not allow creating multiple reviews for the same item by the same user', async () => {
     const response = await request(app)
       .post('/api/reviews')
@@ -68,13 +110,45 @@ describe('Reviews API', () => {
         content: 'Trying to add a second review.',
       });
 
-    expect(response.status).toBe(400);
+    expect(response.status).toBe(409);
     expect(response.body).toHaveProperty(
-      'error',
+      'error.message',
       'You have already reviewed this item.'
     );
   });
 
+  it('should return 404 when reviewing a non-existent item', async () => {
+    const response = await request(app)
+      .post('/api/reviews')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ itemId: 999999, rating: 4, content: 'Nothing to review.' });
+
+    expect(response.status).toBe(404);
+    expect(response.body).toHaveProperty('error.message', 'Item not found');
+  });
+
+  it('should create only one review from concurrent requests', async () => {
+    const item = await prisma.item.create({
+      data: { name: 'Concurrent Review Item' },
+    });
+
+    const post = () =>
+      request(app)
+        .post('/api/reviews')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ itemId: item.id, rating: 4, content: 'Double submit.' });
+
+    const responses = await Promise.all([post(), post()]);
+    const statuses = responses.map((response) => response.status).sort();
+
+    expect(statuses).toEqual([201, 409]);
+
+    const stats = await prisma.item.findUnique({ where: { id: item.id } });
+    expect(stats.reviewCount).toBe(1);
+
+    await prisma.item.delete({ where: { id: item.id } });
+  });
+
   it('should fetch all reviews', async () => {
     const response = await request(app).get('/api/reviews');
 
@@ -84,6 +158,46 @@ describe('Reviews API', () => {
     expect(response.body.reviews.length).toBeGreaterThanOrEqual(1);
   });
 
+  it('should page through reviews with a cursor', async () => {
+    const firstPage = await request(app)
+      .get('/api/reviews')
+      .query({ limit: '1' });
+
+    expect(firstPage.status).toBe(200);
+    expect(firstPage.body.reviews.length).toBe(1);
+
+    expect(typeof firstPage.body.nextCursor).toBe('string');
+
+    const secondPage = await request(app)
+      .get('/api/reviews')
+      .query({ limit: '1', cursor: firstPage.body.nextCursor });
+
+    expect(secondPage.status).toBe(200);
+    expect(secondPage.body.reviews.length).toBe(1);
+    expect(secondPage.body.reviews[0].id).not.toBe(
+      firstPage.body.reviews[0].id
+    );
+  });
+
+  it('should reject a malformed cursor', async () => {
+    const response = await request(app)
+      .get('/api/reviews')
+      .query({ cursor: 'not-a-cursor' });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should reject a cursor whose values have the wrong types', async () => {
+    const cursor = Buffer.from(
+      JSON.stringify({ createdAt: {}, id: 'x' })
+    ).toString('base64url');
+
+    const response = await request(app).get('/api/reviews').query({ cursor });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toHaveProperty('error.details.0.path', ['cursor']);
+  });
+
   it('should fetch a single review by ID', async () => {
     const response = await request(app).get(`/api/reviews/${reviewId}`);
 
@@ -96,6 +210,17 @@ describe('Reviews API', () => {
     );
     expect(response.body.user).toHaveProperty('id', userId);
     expect(response.body.item).toHaveProperty('id', itemId);
+    expect(response.body).toHaveProperty('edited', false);
+  });
+
+  it('should only expose public user fields', async () => {
+    const response = await request(app).get(`/api/reviews/${reviewId}`);
+
+    expect(Object.keys(response.body.user).sort()).toEqual([
+      'id',
+      'username',
+    ]);
+    expect(response.body).not.toHaveProperty('searchVector');
   });
 
   it('should update the review', async () => {
@@ -111,6 +236,52 @@ describe('Reviews API', () => {
     expect(response.body).toHaveProperty('id', reviewId);
     expect(response.body.rating).toBe(4);
     expect(response.body.content).toBe('Updated review content.');
+    expect(response.body).toHaveProperty('edited', true);
+    expect(response.body.editedAt).not.toBeNull();
+  });
+
+  it('should record the previous version of an edited review', async () => {
+    const response = await request(app).get(
+      `/api/reviews/${reviewId}/revisions`
+    );
+
+    expect(response.status).toBe(200);
+    expect(response.body.total).toBe(1);
+    expect(response.body.revisions[0]).toHaveProperty('rating', 5);
+    expect(response.body.revisions[0]).toHaveProperty(
+      'content',
+      'This is an excellent product!'
+    );
+  });
+
+  it('should move the rating in the item histogram on update', async () => {
+    const item = await prisma.item.findUnique({ where: { id: itemId } });
+
+    expect(item.reviewCount).toBe(1);
+    expect(item.rating5Count).toBe(0);
+    expect(item.rating4Count).toBe(1);
+    expect(item.averageRating).toBe(4);
+  });
+
+  it('should keep the item stats right under concurrent edits', async () => {
+    const edit = (rating) =>
+      request(app)
+        .put(`/api/reviews/${reviewId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ rating });
+
+    const responses = await Promise.all([edit(2), edit(3)]);
+    expect(responses.map((response) => response.status)).toEqual([200, 200]);
+
+    const review = await prisma.review.findUnique({ where: { id: reviewId } });
+    const item = await prisma.item.findUnique({ where: { id: itemId } });
+    expect(item.reviewCount).toBe(1);
+    expect(item.ratingSum).toBe(review.rating);
+    expect(item[`rating${review.rating}Count`]).toBe(1);
+    expect(item.rating4Count).toBe(0);
+
+    // Put back the rating the tests that follow expect
+    expect((await edit(4)).status).toBe(200);
   });
 
   it('should not allow updating the review by another user', async () => {
@@ -142,11 +313,141 @@ describe('Reviews API', () => {
 
     expect(response.status).toBe(403);
     expect(response.body).toHaveProperty(
-      'error',
+      'error.message',
       'You are not authorized to update this review.'
     );
   });
 
+  describe('voting', () => {
+    let voterToken;
+
+    beforeAll(async () => {
+      const hashedPassword = await bcrypt.hash('password789', 10);
+      await prisma.user.create({
+        data: {
+          username: 'voter',
+          email: 'voter@example.com',
+          password: hashedPassword,
+        },
+      });
+
+      const loginResponse = await request(app)
+        .post('/api/users/login')
+        .send({ email: 'voter@example.com', password: 'password789' });
+
+      voterToken = loginResponse.body.token;
+    });
+
+    it('should record a helpful vote', async () => {
+      const response = await request(app)
+        .post(`/api/reviews/${reviewId}/vote`)
+        .set('Authorization', `Bearer ${voterToken}`)
+        .send({ helpful: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('helpfulCount', 1);
+      expect(response.body).toHaveProperty('notHelpfulCount', 0);
+      expect(response.body).toHaveProperty('myVote', true);
+    });
+
+    it('should replace an earlier vote instead of adding another', async () => {
+      const response = await request(app)
+        .post(`/api/reviews/${reviewId}/vote`)
+        .set('Authorization', `Bearer ${voterToken}`)
+        .send({ helpful: false });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('helpfulCount', 0);
+      expect(response.body).toHaveProperty('notHelpfulCount', 1);
+    });
+
+    it('should not allow voting on your own review', async () => {
+      const response = await request(app)
+        .post(`/api/reviews/${reviewId}/vote`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ helpful: true });
+
+      expect(response.status).toBe(403);
+      expect(response.body).toHaveProperty(
+        'error.message',
+        'You cannot vote on your own review.'
+      );
+    });
+
+    it('should include vote tallies in review payloads', async () => {
+      const response = await request(app).get('/api/reviews').query({
+        itemId: itemId.toString(),
+        sort: 'helpful',
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.reviews[0]).toHaveProperty('notHelpfulCount', 1);
+    });
+
+    it('should withdraw a vote', async () => {
+      const response = await request(app)
+        .delete(`/api/reviews/${reviewId}/vote`)
+        .set('Authorization', `Bearer ${voterToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('notHelpfulCount', 0);
+      expect(response.body).toHaveProperty('myVote', null);
+
+      const again = await request(app)
+        .delete(`/api/reviews/${reviewId}/vote`)
+        .set('Authorization', `Bearer ${voterToken}`);
+
+      expect(again.status).toBe(404);
+    });
+
+    it('should count concurrent votes by one user once', async () => {
+      const vote = () =>
+        request(app)
+          .post(`/api/reviews/${reviewId}/vote`)
+          .set('Authorization', `Bearer ${voterToken}`)
+          .send({ helpful: true });
+
+      const responses = await Promise.all([vote(), vote()]);
+      expect(responses.map((response) => response.status)).toEqual([
+        200, 200,
+      ]);
+
+      const review = await prisma.review.findUnique({
+        where: { id: reviewId },
+      });
+      expect(review.helpfulCount).toBe(1);
+      expect(await prisma.reviewVote.count({ where: { reviewId } })).toBe(1);
+
+      await request(app)
+        .delete(`/api/reviews/${reviewId}/vote`)
+        .set('Authorization', `Bearer ${voterToken}`);
+    });
+
+    it("should take a deleted account's votes off the tallies", async () => {
+      await request(app)
+        .post(`/api/reviews/${reviewId}/vote`)
+        .set('Authorization', `Bearer ${voterToken}`)
+        .send({ helpful: false });
+
+      const response = await request(app)
+        .delete('/api/users/me')
+        .set('Authorization', `Bearer ${voterToken}`);
+      expect(response.status).toBe(200);
+
+      const review = await prisma.review.findUnique({
+        where: { id: reviewId },
+      });
+      expect(review.helpfulCount).toBe(0);
+      expect(review.notHelpfulCount).toBe(0);
+    });
+
+    afterAll(async () => {
+      await prisma.user.deleteMany({
+        where: { email: 'voter@example.com' },
+      });
+    });
+  });
+
   it('should delete the review', async () => {
     const response = await request(app)
       .delete(`/api/reviews/${reviewId}`)
@@ -157,13 +458,120 @@ describe('Reviews API', () => {
       'message',
       'Review deleted successfully.'
     );
+    expect(response.body).toHaveProperty('restorableUntil');
+
+    // The row is kept so the author can restore it
+    const stored = await prisma.review.findUnique({ where: { id: reviewId } });
+    expect(stored.deletedAt).not.toBeNull();
+  });
+
+  it('should reset the item rating stats when the review is deleted', async () => {
+    const item = await prisma.item.findUnique({ where: { id: itemId } });
+
+    expect(item.reviewCount).toBe(0);
+    expect(item.ratingSum).toBe(0);
+    expect(item.averageRating).toBeNull();
   });
 
   it('should not find the deleted review', async () => {
     const response = await request(app).get(`/api/reviews/${reviewId}`);
 
     expect(response.status).toBe(404);
-    expect(response.body).toHaveProperty('error', 'Review not found');
+    expect(response.body).toHaveProperty('error.message', 'Review not found');
+  });
+
+  it('should restore the deleted review', async () => {
+    const response = await request(app)
+      .post(`/api/reviews/${reviewId}/restore`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveProperty('id', reviewId);
+    expect(response.body).toHaveProperty('deletedAt', null);
+
+    const item = await prisma.item.findUnique({ where: { id: itemId } });
+    expect(item.reviewCount).toBe(1);
+
+    const detail = await request(app).get(`/api/reviews/${reviewId}`);
+    expect(detail.status).toBe(200);
+  });
+
+  it('should count concurrent deletes and restores once', async () => {
+    const send = (method, path) =>
+      Promise.all(
+        [0, 1].map(() =>
+          request(app)[method](path).set('Authorization', `Bearer ${token}`)
+        )
+      );
+    const statuses = (responses) =>
+      responses.map((response) => response.status).sort();
+
+    const deletes = await send('delete', `/api/reviews/${reviewId}`);
+    expect(statuses(deletes)).toEqual([200, 404]);
+    let item = await prisma.item.findUnique({ where: { id: itemId } });
+    expect(item.reviewCount).toBe(0);
+
+    const restores = await send('post', `/api/reviews/${reviewId}/restore`);
+    expect(statuses(restores)).toEqual([200, 404]);
+    item = await prisma.item.findUnique({ where: { id: itemId } });
+    expect(item.reviewCount).toBe(1);
+  });
+
+  it('should not restore a review after the grace period', async () => {
+    await request(app)
+      .delete(`/api/reviews/${reviewId}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    await prisma.review.update({
+      where: { id: reviewId },
+      data: { deletedAt: new Date(Date.now() - 8 * 24 * 60 * 60 * 1000) },
+    });
+
+    const response = await request(app)
+      .post(`/api/reviews/${reviewId}/restore`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(400);
+    expect(response.body).toHaveProperty(
+      'error.message',
+      'The restore period for this review has expired.'
+    );
+  });
+
+  it("should keep other users' comments when reviewing a deleted review's item again", async () => {
+    const commenter = await prisma.user.create({
+      data: {
+        username: 'rereviewcommenter',
+        email: 'rereview-commenter@example.com',
+        password: 'not-used',
+      },
+    });
+    const comment = await prisma.comment.create({
+      data: { content: 'Still relevant.', userId: commenter.id, reviewId },
+    });
+
+    const response = await request(app)
+      .post('/api/reviews')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ itemId, rating: 2, content: 'A fresh take.' });
+
+    expect(response.status).toBe(201);
+    expect(response.body).toHaveProperty('id', reviewId);
+    expect(response.body).toHaveProperty('deletedAt', null);
+    expect(response.body).toHaveProperty('helpfulCount', 0);
+
+    const kept = await prisma.comment.findUnique({ where: { id: comment.id } });
+    expect(kept).not.toBeNull();
+
+    const item = await prisma.item.findUnique({ where: { id: itemId } });
+    expect(item.reviewCount).toBe(1);
+    expect(item.ratingSum).toBe(2);
+
+    // The tests that follow expect the review to be deleted
+    await request(app)
+      .delete(`/api/reviews/${reviewId}`)
+      .set('Authorization', `Bearer ${token}`);
+    await prisma.user.delete({ where: { id: commenter.id } });
   });
 
   it('should fetch all reviews by the authenticated user', async () => {
@@ -172,7 +580,6 @@ describe('Reviews API', () => {
       data: {
         name: 'Second Test Item',
         description: 'Another test item.',
-        category: 'Test Category',
       },
     });
 
@@ -197,6 +604,116 @@ describe('Reviews API', () => {
       'content',
       'Another great review!'
     );
+    expect(response.body).toHaveProperty('total', 1);
+    expect(response.body.reviews[0]._count).toHaveProperty('comments', 0);
+  });
+
+  it('should list your reviews in the shared review shape', async () => {
+    const response = await request(app)
+      .get('/api/reviews/user/me')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    const [review] = response.body.reviews;
+    expect(Object.keys(review).sort()).toEqual([
+      '_count',
+      'content',
+      'createdAt',
+      'deletedAt',
+      'edited',
+      'editedAt',
+      'helpfulCount',
+      'hiddenAt',
+      'id',
+      'item',
+      'itemId',
+      'notHelpfulCount',
+      'rating',
+      'updatedAt',
+      'userId',
+    ]);
+    expect(review.item).toEqual({
+      id: review.itemId,
+      name: 'Second Test Item',
+      category: null,
+    });
+    expect(review).toHaveProperty('edited', false);
+  });
+
+  it('should filter reviews by the authenticated user', async () => {
+    const lowRated = await request(app)
+      .get('/api/reviews/user/me')
+      .set('Authorization', `Bearer ${token}`)
+      .query({ maxRating: '3' });
+
+    expect(lowRated.status).toBe(200);
+    expect(lowRated.body.reviews.length).toBe(0);
+    expect(lowRated.body.total).toBe(0);
+
+    const future = await request(app)
+      .get('/api/reviews/user/me')
+      .set('Authorization', `Bearer ${token}`)
+      .query({ from: new Date(Date.now() + 60000).toISOString() });
+
+    expect(future.status).toBe(200);
+    expect(future.body.reviews.length).toBe(0);
+  });
+
+  it('should reject an inverted date range', async () => {
+    const response = await request(app)
+      .get('/api/reviews/user/me')
+      .set('Authorization', `Bearer ${token}`)
+      .query({ from: '2024-02-01', to: '2024-01-01' });
+
+    expect(response.status).toBe(400);
+  });
+
+  describe('rate limiting', () => {
+    let spammerToken;
+
+    beforeAll(async () => {
+      const hashedPassword = await bcrypt.hash('password789', 10);
+      await prisma.user.create({
+        data: {
+          username: 'spammer',
+          email: 'spammer@example.com',
+          password: hashedPassword,
+          emailVerified: true,
+        },
+      });
+
+      const loginResponse = await request(app)
+        .post('/api/users/login')
+        .send({ email: 'spammer@example.com', password: 'password789' });
+
+      spammerToken = loginResponse.body.token;
+    });
+
+    it('should limit how quickly a user can post reviews', async () => {
+      // Rejected requests count towards the limit as well
+      const post = () =>
+        request(app)
+          .post('/api/reviews')
+          .set('Authorization', `Bearer ${spammerToken}`)
+          .send({ itemId, rating: 0, content: 'Spam' });
+
+      for (let i = 0; i < 10; i++) {
+        const response = await post();
+        expect(response.status).toBe(400);
+      }
+
+      const response = await post();
+
+      expect(response.status).toBe(429);
+      expect(response.headers).toHaveProperty('retry-after');
+      expect(response.headers['ratelimit-remaining']).toBe('0');
+    });
+
+    afterAll(async () => {
+      await prisma.user.deleteMany({
+        where: { email: 'spammer@example.com' },
+      });
+    });
   });
 
   afterAll(async () => {
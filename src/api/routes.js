@@ -0,0 +1,13 @@
+// Every API router and the path it is mounted under
+const routes = [
+  ['/api/users', require('./users/routes')],
+  ['/api/items', require('./items/routes')],
+  ['/api/reviews', require('./reviews/routes')],
+  ['/api/comments', require('./comments/routes')],
+  ['/api/moderation', require('./moderation/routes')],
+  ['/api/search', require('./search/routes')],
+  ['/api/categories', require('./categories/routes')],
+  ['/api/tags', require('./tags/routes')],
+];
+
+module.exports = routes;
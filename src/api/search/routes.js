@@ -0,0 +1,54 @@
+const express = require('express');
+const { asyncHandler } = require('../../middleware/asyncHandler');
+const { searchAll } = require('../../lib/search');
+const { paginationQuery } = require('../../lib/pagination');
+const { documentRoutes } = require('../../lib/openapi/registry');
+const schemas = require('../../lib/openapi/schemas');
+const { z } = require('zod');
+
+const router = express.Router();
+const doc = documentRoutes('/api/search', 'Search');
+
+// Schema for search query parameters
+const searchSchema = z.object({
+  q: z.string().trim().min(1),
+  type: z.enum(['all', 'items', 'reviews']).default('all'),
+  page: paginationQuery.page,
+  limit: paginationQuery.limit,
+});
+
+// GET /api/search
+// Full-text search over items and reviews, ranked by relevance
+doc('get', '/', {
+  summary: 'Search items and reviews',
+  query: searchSchema,
+  responses: {
+    200: [
+      'Results, most relevant first',
+      schemas.page('results', schemas.SearchResult),
+    ],
+  },
+});
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    const { q, type, page, limit } = searchSchema.parse(req.query);
+
+    const { results, total } = await searchAll({
+      q,
+      type,
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    res.json({
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      results,
+    });
+  })
+);
+
+module.exports = router;
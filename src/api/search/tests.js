@@ -0,0 +1,149 @@
+const { describe, it, expect, beforeAll, afterAll } = require('@jest/globals');
+const request = require('supertest');
+const { createApp } = require('../../app');
+const prisma = require('../../lib/prisma');
+const bcrypt = require('bcrypt');
+
+const app = createApp();
+
+describe('Search API', () => {
+  let userId;
+  let headphonesId;
+  let speakerId;
+  let reviewId;
+
+  beforeAll(async () => {
+    const hashedPassword = await bcrypt.hash('password123', 10);
+    const user = await prisma.user.create({
+      data: {
+        username: 'searcher',
+        email: 'searcher@example.com',
+        password: hashedPassword,
+      },
+    });
+    userId = user.id;
+
+    const headphones = await prisma.item.create({
+      data: {
+        name: 'Wireless Headphones',
+        description: 'Over-ear headphones with noise cancelling.',
+      },
+    });
+    headphonesId = headphones.id;
+
+    const speaker = await prisma.item.create({
+      data: {
+        name: 'Bookshelf Speaker',
+        description: 'Pairs well with wireless headphones.',
+      },
+    });
+    speakerId = speaker.id;
+
+    const review = await prisma.review.create({
+      data: {
+        rating: 4,
+        content: 'The noise cancelling works wonders on flights.',
+        userId,
+        itemId: headphonesId,
+      },
+    });
+    reviewId = review.id;
+  });
+
+  it('should return ranked items and reviews with highlighted snippets', async () => {
+    const response = await request(app)
+      .get('/api/search')
+      .query({ q: 'cancelling noise' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.total).toBeGreaterThanOrEqual(2);
+
+    const types = response.body.results.map((result) => result.type);
+    expect(types).toContain('item');
+    expect(types).toContain('review');
+
+    const review = response.body.results.find(
+      (result) => result.type === 'review' && result.id === reviewId
+    );
+    expect(review).toHaveProperty('itemId', headphonesId);
+    expect(review).toHaveProperty('title', 'Wireless Headphones');
+    expect(review.snippet).toContain('<mark>');
+
+    const ranks = response.body.results.map((result) => result.rank);
+    expect(ranks).toEqual([...ranks].sort((a, b) => b - a));
+  });
+
+  it('should match stemmed words', async () => {
+    const response = await request(app)
+      .get('/api/search')
+      .query({ q: 'headphone', type: 'items' });
+
+    expect(response.status).toBe(200);
+    const ids = response.body.results.map((result) => result.id);
+    expect(ids).toContain(headphonesId);
+    expect(
+      response.body.results.every((result) => result.type === 'item')
+    ).toBe(true);
+  });
+
+  it('should escape HTML in snippets', async () => {
+    const review = await prisma.review.create({
+      data: {
+        rating: 1,
+        content: 'Crackling <img src=x onerror=alert(1)> static & hiss',
+        userId,
+        itemId: speakerId,
+      },
+    });
+
+    const response = await request(app)
+      .get('/api/search')
+      .query({ q: 'crackling', type: 'reviews' });
+
+    expect(response.status).toBe(200);
+    const result = response.body.results.find(
+      (match) => match.id === review.id
+    );
+    expect(result.snippet).toContain('<mark>Crackling</mark>');
+    expect(result.snippet).toContain('&lt;img src=x onerror=alert(1)&gt;');
+    expect(result.snippet).toContain('&amp;');
+    expect(result.snippet).not.toContain('<img');
+
+    await prisma.review.delete({ where: { id: review.id } });
+  });
+
+  it('should rank name matches above description matches', async () => {
+    const response = await request(app)
+      .get('/api/items')
+      .query({ search: 'wireless headphones', limit: '100' });
+
+    expect(response.status).toBe(200);
+    const ids = response.body.items.map((item) => item.id);
+    expect(ids.indexOf(headphonesId)).toBeLessThan(ids.indexOf(speakerId));
+  });
+
+  it('should require a search term to sort by relevance', async () => {
+    const response = await request(app)
+      .get('/api/items')
+      .query({ sort: 'relevance' });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should require a query', async () => {
+    const response = await request(app).get('/api/search');
+
+    expect(response.status).toBe(400);
+  });
+
+  afterAll(async () => {
+    // Clean up test data
+    await prisma.item.deleteMany({
+      where: { id: { in: [headphonesId, speakerId] } },
+    });
+    await prisma.user.deleteMany({
+      where: { id: userId },
+    });
+    await prisma.$disconnect();
+  });
+});
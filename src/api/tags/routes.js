@@ -0,0 +1,38 @@
+const express = require('express');
+const prisma = require('../../lib/prisma');
+const { asyncHandler } = require('../../middleware/asyncHandler');
+const { serializeTagUsage } = require('../../lib/serializers');
+const { documentRoutes } = require('../../lib/openapi/registry');
+const schemas = require('../../lib/openapi/schemas');
+const { z } = require('zod');
+
+const router = express.Router();
+const doc = documentRoutes('/api/tags', 'Tags');
+
+// GET /api/tags
+// Fetch every tag with the number of items using it, most used first
+doc('get', '/', {
+  summary: 'List tags',
+  responses: { 200: ['Tags, most used first', z.array(schemas.TagUsage)] },
+});
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    const tags = await prisma.tag.findMany({
+      orderBy: [{ items: { _count: 'desc' } }, { name: 'asc' }],
+      include: {
+        _count: {
+          select: { items: true },
+        },
+      },
+    });
+
+    res.json(
+      tags.map(({ _count, ...tag }) =>
+        serializeTagUsage({ ...tag, itemCount: _count.items })
+      )
+    );
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,70 @@
+const { describe, it, expect, beforeAll, afterAll } = require('@jest/globals');
+const request = require('supertest');
+const { createApp } = require('../../app');
+const prisma = require('../../lib/prisma');
+
+const app = createApp();
+
+describe('Tags API', () => {
+  let popularTag, rareTag;
+  let itemIds;
+
+  beforeAll(async () => {
+    popularTag = await prisma.tag.create({
+      data: { name: 'Tag Test Popular', slug: 'tag-test-popular' },
+    });
+    rareTag = await prisma.tag.create({
+      data: { name: 'Tag Test Rare', slug: 'tag-test-rare' },
+    });
+
+    const first = await prisma.item.create({
+      data: {
+        name: 'Tagged Item 1',
+        tags: {
+          create: [{ tagId: popularTag.id }, { tagId: rareTag.id }],
+        },
+      },
+    });
+    const second = await prisma.item.create({
+      data: {
+        name: 'Tagged Item 2',
+        tags: { create: [{ tagId: popularTag.id }] },
+      },
+    });
+    itemIds = [first.id, second.id];
+  });
+
+  it('should list tags with usage counts, most used first', async () => {
+    const response = await request(app).get('/api/tags');
+
+    expect(response.status).toBe(200);
+    expect(Array.isArray(response.body)).toBe(true);
+
+    const popular = response.body.find((tag) => tag.id === popularTag.id);
+    const rare = response.body.find((tag) => tag.id === rareTag.id);
+    expect(popular).toHaveProperty('slug', 'tag-test-popular');
+    expect(Object.keys(popular).sort()).toEqual([
+      'createdAt',
+      'id',
+      'itemCount',
+      'name',
+      'slug',
+    ]);
+    expect(popular).toHaveProperty('itemCount', 2);
+    expect(rare).toHaveProperty('itemCount', 1);
+    expect(response.body.indexOf(popular)).toBeLessThan(
+      response.body.indexOf(rare)
+    );
+  });
+
+  afterAll(async () => {
+    // Clean up test data
+    await prisma.item.deleteMany({
+      where: { id: { in: itemIds } },
+    });
+    await prisma.tag.deleteMany({
+      where: { id: { in: [popularTag.id, rareTag.id] } },
+    });
+    await prisma.$disconnect();
+  });
+});
@@ -1,10 +1,64 @@
 const express = require('express');
 const prisma = require('../../lib/prisma');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const { z } = require('zod');
+const { authenticateToken } = require('../../middleware/auth');
+const { config } = require('../../lib/config');
+const { asyncHandler } = require('../../middleware/asyncHandler');
+const {
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+} = require('../../lib/errors');
+const {
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllTokens,
+} = require('../../lib/tokens');
+const { recomputeItemStats } = require('../../lib/ratings');
+const { withdrawAllVotes } = require('../../lib/votes');
+const { VISIBLE } = require('../../lib/visibility');
+const {
+  loginRateLimit,
+  passwordResetRateLimit,
+  verificationEmailRateLimit,
+} = require('../../middleware/rateLimit');
+const {
+  lockoutRemaining,
+  recordLoginFailure,
+  clearLoginFailures,
+} = require('../../lib/loginLockout');
+const {
+  consumeUserToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+} = require('../../lib/userTokens');
+const { logger } = require('../../lib/logger');
+const {
+  publicProfileSelect,
+  serializePublicProfile,
+  accountSelect,
+  serializeAccount,
+} = require('../../lib/serializers');
+const { documentRoutes } = require('../../lib/openapi/registry');
+const schemas = require('../../lib/openapi/schemas');
 
 const router = express.Router();
+const doc = documentRoutes('/api/users', 'Users');
+
+// Email failures are logged rather than failing the request; the user can
+// always ask for another message
+const sendAccountEmail = async (send, user) => {
+  try {
+    await send(user);
+  } catch (error) {
+    logger.error('Failed to send email', { err: error, userId: user.id });
+  }
+};
 
 // Registration schema
 const registerSchema = z.object({
@@ -14,16 +68,27 @@ const registerSchema = z.object({
 });
 
 // Register a new user
-router.post('/register', async (req, res) => {
-  try {
+doc('post', '/register', {
+  summary: 'Create an account',
+  description: 'A verification link is emailed to the new address.',
+  body: registerSchema,
+  responses: { 201: ['Account created', schemas.Account] },
+  errors: [409],
+});
+router.post(
+  '/register',
+  asyncHandler(async (req, res) => {
     const { username, email, password } = registerSchema.parse(req.body);
 
     const existingUser = await prisma.user.findUnique({ where: { email } });
     if (existingUser) {
-      return res.status(400).json({ error: 'Email already in use' });
+      throw new ConflictError('Email already in use');
     }
 
-    const hashedPassword = await bcrypt.hash(password, 10);
+    const hashedPassword = await bcrypt.hash(
+      password,
+      config.auth.bcryptRounds
+    );
 
     const user = await prisma.user.create({
       data: {
@@ -31,24 +96,21 @@ router.post('/register', async (req, res) => {
         email,
         password: hashedPassword,
       },
-      select: {
-        id: true,
-        username: true,
-        email: true,
-        createdAt: true,
-      },
+      select: accountSelect,
     });
 
-    res.status(201).json(user);
-  } catch (error) {
-    if (error instanceof z.ZodError) {
-      res.status(400).json({ error: error.errors });
-    } else {
-      console.error(error);
-      res.status(500).json({ error: 'Internal server error' });
-    }
-  }
-});
+    await sendAccountEmail(sendVerificationEmail, user);
+
+    res.status(201).json(serializeAccount(user));
+  })
+);
+
+// Compared against when no account has the email, so unknown emails take
+// as long to reject as wrong passwords and timing does not reveal accounts
+const dummyPasswordHash = bcrypt.hash(
+  'no account has this email',
+  config.auth.bcryptRounds
+);
 
 // Login schema
 const loginSchema = z.object({
@@ -57,30 +119,446 @@ const loginSchema = z.object({
 });
 
 // Login a user
-router.post('/login', async (req, res) => {
-  try {
+doc('post', '/login', {
+  summary: 'Sign in',
+  description: 'Repeated failures lock the email out for a growing period.',
+  body: loginSchema,
+  responses: { 200: ['Signed in', schemas.TokenPair] },
+  errors: [429],
+});
+router.post(
+  '/login',
+  loginRateLimit,
+  asyncHandler(async (req, res) => {
     const { email, password } = loginSchema.parse(req.body);
 
+    const lockedForMs = lockoutRemaining(email);
+    if (lockedForMs > 0) {
+      res.set('Retry-After', String(Math.ceil(lockedForMs / 1000)));
+      throw new TooManyRequestsError(
+        'Too many failed login attempts, please try again later'
+      );
+    }
+
+    // Unknown emails count as failures too, so lockouts do not reveal
+    // which accounts exist
     const user = await prisma.user.findUnique({ where: { email } });
-    if (!user) return res.status(400).json({ error: 'Invalid credentials' });
+    const passwordMatches = await bcrypt.compare(
+      password,
+      user ? user.password : await dummyPasswordHash
+    );
+    const validPassword = user !== null && passwordMatches;
+
+    if (!validPassword) {
+      recordLoginFailure(email);
+      throw new BadRequestError('Invalid credentials');
+    }
+
+    clearLoginFailures(email);
+
+    const tokens = await issueTokenPair(user);
+
+    res.json(tokens);
+  })
+);
+
+// Refresh schema
+const refreshSchema = z.object({
+  refreshToken: z.string().min(1),
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+doc('post', '/refresh', {
+  summary: 'Exchange a refresh token for a new token pair',
+  body: refreshSchema,
+  responses: { 200: ['New tokens', schemas.TokenPair] },
+  errors: [401],
+});
+router.post(
+  '/refresh',
+  asyncHandler(async (req, res) => {
+    const { refreshToken } = refreshSchema.parse(req.body);
+
+    const tokens = await rotateRefreshToken(refreshToken);
+    if (!tokens) {
+      throw new UnauthorizedError('Invalid refresh token');
+    }
+
+    res.json(tokens);
+  })
+);
+
+// Token schema shared by the email verification and password reset flows
+const verifyEmailSchema = z.object({
+  token: z.string().min(1),
+});
+
+// Confirm a user's email address with the token emailed to them
+doc('post', '/verify-email', {
+  summary: 'Verify an email address',
+  body: verifyEmailSchema,
+  responses: { 200: ['Email verified', schemas.Message] },
+});
+router.post(
+  '/verify-email',
+  asyncHandler(async (req, res) => {
+    const { token } = verifyEmailSchema.parse(req.body);
 
-    const validPassword = await bcrypt.compare(password, user.password);
-    if (!validPassword)
-      return res.status(400).json({ error: 'Invalid credentials' });
+    const userId = await consumeUserToken(token, 'email_verification');
+    if (!userId) {
+      throw new BadRequestError('Invalid or expired token');
+    }
 
-    const token = jwt.sign({ id: user.id }, process.env.JWT_SECRET, {
-      expiresIn: '1h',
+    await prisma.user.update({
+      where: { id: userId },
+      data: { emailVerified: true },
     });
 
-    res.json({ token });
-  } catch (error) {
-    if (error instanceof z.ZodError) {
-      res.status(400).json({ error: error.errors });
-    } else {
-      console.error(error);
-      res.status(500).json({ error: 'Internal server error' });
+    res.json({ message: 'Email verified successfully.' });
+  })
+);
+
+// Send a new verification email to the authenticated user
+doc('post', '/verify-email/resend', {
+  summary: 'Resend the verification email',
+  auth: true,
+  responses: { 200: ['Verification email sent', schemas.Message] },
+  errors: [400, 429],
+});
+router.post(
+  '/verify-email/resend',
+  authenticateToken,
+  verificationEmailRateLimit,
+  asyncHandler(async (req, res) => {
+    if (req.user.emailVerified) {
+      throw new BadRequestError('Email is already verified');
     }
-  }
+
+    await sendAccountEmail(sendVerificationEmail, req.user);
+
+    res.json({ message: 'Verification email sent.' });
+  })
+);
+
+// Forgot password schema
+const forgotPasswordSchema = z.object({
+  email: z.string().email(),
+});
+
+// Email a password reset link. The response is the same whether or not the
+// account exists, so it cannot be used to discover registered emails.
+doc('post', '/forgot-password', {
+  summary: 'Request a password reset link',
+  body: forgotPasswordSchema,
+  responses: {
+    200: ['Reset link sent if the account exists', schemas.Message],
+  },
+  errors: [429],
+});
+router.post(
+  '/forgot-password',
+  passwordResetRateLimit,
+  asyncHandler(async (req, res) => {
+    const { email } = forgotPasswordSchema.parse(req.body);
+
+    const user = await prisma.user.findUnique({ where: { email } });
+    if (user) {
+      await sendAccountEmail(sendPasswordResetEmail, user);
+    }
+
+    res.json({
+      message: 'If an account exists for that email, a reset link has been sent.',
+    });
+  })
+);
+
+// Reset password schema
+const resetPasswordSchema = z.object({
+  token: z.string().min(1),
+  password: z.string().min(6),
+});
+
+// Choose a new password with a reset token, signing out every session
+doc('post', '/reset-password', {
+  summary: 'Reset a password with an emailed token',
+  body: resetPasswordSchema,
+  responses: { 200: ['Password reset', schemas.Message] },
+});
+router.post(
+  '/reset-password',
+  asyncHandler(async (req, res) => {
+    const { token, password } = resetPasswordSchema.parse(req.body);
+
+    const userId = await consumeUserToken(token, 'password_reset');
+    if (!userId) {
+      throw new BadRequestError('Invalid or expired token');
+    }
+
+    const hashedPassword = await bcrypt.hash(
+      password,
+      config.auth.bcryptRounds
+    );
+
+    const user = await prisma.$transaction(async (tx) => {
+      // Following the emailed link also proves ownership of the address
+      await tx.user.update({
+        where: { id: userId },
+        data: { password: hashedPassword, emailVerified: true },
+      });
+
+      return revokeAllTokens(userId, tx);
+    });
+
+    clearLoginFailures(user.email);
+
+    res.json({ message: 'Password reset successfully.' });
+  })
+);
+
+// Logout schema
+const logoutSchema = z
+  .object({
+    refreshToken: z.string().min(1).optional(),
+    all: z.boolean().default(false),
+  })
+  .refine((data) => data.all || data.refreshToken, {
+    message: 'refreshToken is required unless logging out everywhere',
+    path: ['refreshToken'],
+  });
+
+// Logout the current session, or every session when `all` is set
+doc('post', '/logout', {
+  summary: 'Sign out',
+  auth: true,
+  body: logoutSchema,
+  responses: { 200: ['Signed out', schemas.Message] },
+});
+router.post(
+  '/logout',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const { refreshToken, all } = logoutSchema.parse(req.body);
+    const userId = req.user.id;
+
+    if (all) {
+      await revokeAllTokens(userId);
+      return res.json({ message: 'Logged out of all sessions.' });
+    }
+
+    await revokeRefreshToken(userId, refreshToken);
+
+    res.json({ message: 'Logged out successfully.' });
+  })
+);
+
+// Get the authenticated user's account
+doc('get', '/me', {
+  summary: 'Get your account',
+  auth: true,
+  responses: { 200: ['Your account', schemas.Account] },
+});
+router.get(
+  '/me',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: accountSelect,
+    });
+
+    res.json(serializeAccount(user));
+  })
+);
+
+// Update account schema
+const updateAccountSchema = z
+  .object({
+    username: z.string().min(3).optional(),
+    email: z.string().email().optional(),
+  })
+  .strict();
+
+// Update the authenticated user's username and/or email
+doc('patch', '/me', {
+  summary: 'Update your account',
+  description: 'Changing the email address requires verifying it again.',
+  auth: true,
+  body: updateAccountSchema,
+  responses: { 200: ['Account updated', schemas.Account] },
+  errors: [409],
+});
+router.patch(
+  '/me',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const { username, email } = updateAccountSchema.parse(req.body);
+    const userId = req.user.id;
+
+    if (email && email !== req.user.email) {
+      const existingUser = await prisma.user.findUnique({ where: { email } });
+      if (existingUser) {
+        throw new ConflictError('Email already in use');
+      }
+    }
+
+    if (username && username !== req.user.username) {
+      const existingUser = await prisma.user.findUnique({
+        where: { username },
+      });
+      if (existingUser) {
+        throw new ConflictError('Username already taken');
+      }
+    }
+
+    // A new email address has to be verified again
+    const emailChanged = email !== undefined && email !== req.user.email;
+
+    const user = await prisma.user.update({
+      where: { id: userId },
+      data: {
+        username,
+        email,
+        ...(emailChanged && { emailVerified: false }),
+      },
+      select: accountSelect,
+    });
+
+    if (emailChanged) {
+      await sendAccountEmail(sendVerificationEmail, user);
+    }
+
+    res.json(serializeAccount(user));
+  })
+);
+
+// Delete the authenticated user's account (reviews and comments cascade)
+doc('delete', '/me', {
+  summary: 'Delete your account',
+  auth: true,
+  responses: { 200: ['Account deleted', schemas.Message] },
+});
+router.delete(
+  '/me',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+
+    await prisma.$transaction(async (tx) => {
+      const reviews = await tx.review.findMany({
+        where: { userId },
+        select: { itemId: true },
+      });
+
+      // Votes cascade away with the user, so take them off the tallies first
+      await withdrawAllVotes(tx, userId);
+
+      await tx.user.delete({
+        where: { id: userId },
+      });
+
+      // The cascade removed this user's reviews, so refresh the item stats
+      for (const { itemId } of reviews) {
+        await recomputeItemStats(itemId, tx);
+      }
+    });
+
+    res.json({ message: 'Account deleted successfully.' });
+  })
+);
+
+// Change password schema
+const changePasswordSchema = z.object({
+  currentPassword: z.string().min(6),
+  newPassword: z.string().min(6),
+});
+
+// Change the authenticated user's password and sign out every other session
+doc('post', '/me/password', {
+  summary: 'Change your password',
+  description: 'Signs out every session and returns fresh tokens.',
+  auth: true,
+  body: changePasswordSchema,
+  responses: {
+    200: ['Password changed', schemas.Message.merge(schemas.TokenPair)],
+  },
+});
+router.post(
+  '/me/password',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const { currentPassword, newPassword } = changePasswordSchema.parse(
+      req.body
+    );
+    const userId = req.user.id;
+
+    const validPassword = await bcrypt.compare(
+      currentPassword,
+      req.user.password
+    );
+    if (!validPassword) {
+      throw new BadRequestError('Current password is incorrect');
+    }
+
+    const hashedPassword = await bcrypt.hash(
+      newPassword,
+      config.auth.bcryptRounds
+    );
+
+    const user = await prisma.$transaction(async (tx) => {
+      await tx.user.update({
+        where: { id: userId },
+        data: { password: hashedPassword },
+      });
+
+      return revokeAllTokens(userId, tx);
+    });
+
+    // Hand back fresh tokens so the caller stays signed in
+    const tokens = await issueTokenPair(user);
+
+    res.json({ message: 'Password updated successfully.', ...tokens });
+  })
+);
+
+// Get a user's public profile
+doc('get', '/:id', {
+  summary: "Get a user's public profile",
+  responses: { 200: ['The profile', schemas.PublicProfile] },
+  errors: [404],
 });
+router.get(
+  '/:id',
+  asyncHandler(async (req, res) => {
+    const userId = parseInt(req.params.id, 10);
+    if (isNaN(userId)) {
+      throw new ValidationError('Invalid user ID');
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: publicProfileSelect,
+    });
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const stats = await prisma.review.aggregate({
+      where: { userId, ...VISIBLE },
+      _count: { _all: true },
+      _avg: { rating: true },
+    });
+
+    res.json(
+      serializePublicProfile({
+        ...user,
+        reviewCount: stats._count._all,
+        averageRatingGiven: stats._avg.rating
+          ? parseFloat(stats._avg.rating.toFixed(2))
+          : null,
+      })
+    );
+  })
+);
 
 module.exports = router;
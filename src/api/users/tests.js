@@ -1,8 +1,12 @@
 const { describe, it, expect, beforeAll, afterAll } = require('@jest/globals');
 const request = require('supertest');
-const app = require('../../server');
+const { createApp } = require('../../app');
 const prisma = require('../../lib/prisma');
 const bcrypt = require('bcrypt');
+const { setMailTransport } = require('../../lib/mailer');
+const { config } = require('../../lib/config');
+
+const app = createApp();
 
 describe('Users API', () => {
   let testUser = {
@@ -11,7 +15,16 @@ describe('Users API', () => {
     password: 'password123',
   };
 
+  // Capture outgoing mail instead of printing it
+  const sentMail = [];
+  const lastTokenSentTo = (email) => {
+    const message = sentMail.filter((mail) => mail.to === email).pop();
+    return message && message.text.match(/token=([\w.-]+)/)[1];
+  };
+
   beforeAll(async () => {
+    setMailTransport({ send: async (message) => sentMail.push(message) });
+
     // Ensure the test user does not already exist
     await prisma.user.deleteMany({
       where: {
@@ -38,8 +51,11 @@ describe('Users API', () => {
       .post('/api/users/register')
       .send(testUser);
 
-    expect(response.status).toBe(400);
-    expect(response.body).toHaveProperty('error', 'Email already in use');
+    expect(response.status).toBe(409);
+    expect(response.body).toHaveProperty(
+      'error.message',
+      'Email already in use'
+    );
   });
 
   it('should login successfully with correct credentials', async () => {
@@ -51,6 +67,8 @@ describe('Users API', () => {
     expect(response.status).toBe(200);
     expect(response.body).toHaveProperty('token');
     expect(typeof response.body.token).toBe('string');
+    expect(response.body).toHaveProperty('refreshToken');
+    expect(typeof response.body.refreshToken).toBe('string');
   });
 
   it('should not login with incorrect password', async () => {
@@ -60,7 +78,10 @@ describe('Users API', () => {
     });
 
     expect(response.status).toBe(400);
-    expect(response.body).toHaveProperty('error', 'Invalid credentials');
+    expect(response.body).toHaveProperty(
+      'error.message',
+      'Invalid credentials'
+    );
   });
 
   it('should not login with non-existent email', async () => {
@@ -70,7 +91,371 @@ describe('Users API', () => {
     });
 
     expect(response.status).toBe(400);
-    expect(response.body).toHaveProperty('error', 'Invalid credentials');
+    expect(response.body).toHaveProperty(
+      'error.message',
+      'Invalid credentials'
+    );
+  });
+
+  it('should send rate limit headers on login', async () => {
+    const response = await request(app).post('/api/users/login').send({
+      email: testUser.email,
+      password: testUser.password,
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.headers).toHaveProperty('ratelimit-limit');
+    expect(response.headers).toHaveProperty('ratelimit-remaining');
+    expect(response.headers).toHaveProperty('ratelimit-reset');
+  });
+
+  it('should lock out an email after repeated failed logins', async () => {
+    const attempt = () =>
+      request(app).post('/api/users/login').send({
+        email: 'locked-out@example.com',
+        password: 'wrongpassword',
+      });
+
+    for (let i = 0; i < 5; i++) {
+      const response = await attempt();
+      expect(response.status).toBe(400);
+    }
+
+    const response = await attempt();
+
+    expect(response.status).toBe(429);
+    expect(response.body).toHaveProperty(
+      'error.message',
+      'Too many failed login attempts, please try again later'
+    );
+    expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  describe('token lifecycle', () => {
+    let tokens;
+
+    beforeAll(async () => {
+      const response = await request(app).post('/api/users/login').send({
+        email: testUser.email,
+        password: testUser.password,
+      });
+      tokens = response.body;
+    });
+
+    it('should exchange a refresh token for a new token pair', async () => {
+      const response = await request(app)
+        .post('/api/users/refresh')
+        .send({ refreshToken: tokens.refreshToken });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('token');
+      expect(response.body).toHaveProperty('refreshToken');
+      expect(response.body.refreshToken).not.toBe(tokens.refreshToken);
+
+      const reused = await request(app)
+        .post('/api/users/refresh')
+        .send({ refreshToken: tokens.refreshToken });
+
+      expect(reused.status).toBe(401);
+      expect(reused.body).toHaveProperty(
+        'error.message',
+        'Invalid refresh token'
+      );
+    });
+
+    it('should revoke the refresh token on logout', async () => {
+      const login = await request(app).post('/api/users/login').send({
+        email: testUser.email,
+        password: testUser.password,
+      });
+
+      const response = await request(app)
+        .post('/api/users/logout')
+        .set('Authorization', `Bearer ${login.body.token}`)
+        .send({ refreshToken: login.body.refreshToken });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty(
+        'message',
+        'Logged out successfully.'
+      );
+
+      const refresh = await request(app)
+        .post('/api/users/refresh')
+        .send({ refreshToken: login.body.refreshToken });
+
+      expect(refresh.status).toBe(401);
+    });
+
+    it('should invalidate all access tokens when logging out everywhere', async () => {
+      const login = await request(app).post('/api/users/login').send({
+        email: testUser.email,
+        password: testUser.password,
+      });
+
+      const response = await request(app)
+        .post('/api/users/logout')
+        .set('Authorization', `Bearer ${login.body.token}`)
+        .send({ all: true });
+
+      expect(response.status).toBe(200);
+
+      const stale = await request(app)
+        .post('/api/users/logout')
+        .set('Authorization', `Bearer ${login.body.token}`)
+        .send({ all: true });
+
+      expect(stale.status).toBe(401);
+      expect(stale.body).toHaveProperty(
+        'error.message',
+        'Token has been revoked'
+      );
+    });
+  });
+
+  describe('email verification and password reset', () => {
+    const resetUser = {
+      username: 'resetuser',
+      email: 'resetuser@example.com',
+      password: 'password123',
+    };
+
+    beforeAll(async () => {
+      await prisma.user.deleteMany({ where: { email: resetUser.email } });
+
+      const response = await request(app)
+        .post('/api/users/register')
+        .send(resetUser);
+      expect(response.body).toHaveProperty('emailVerified', false);
+    });
+
+    it('should not accept a verification token for a password reset', async () => {
+      const response = await request(app)
+        .post('/api/users/reset-password')
+        .send({
+          token: lastTokenSentTo(resetUser.email),
+          password: 'hijacked123',
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty(
+        'error.message',
+        'Invalid or expired token'
+      );
+    });
+
+    it('should limit verification email resends', async () => {
+      const login = await request(app)
+        .post('/api/users/login')
+        .send({ email: resetUser.email, password: resetUser.password });
+      const resend = () =>
+        request(app)
+          .post('/api/users/verify-email/resend')
+          .set('Authorization', `Bearer ${login.body.token}`);
+
+      for (let i = 0; i < config.rateLimit.passwordReset.max; i++) {
+        const response = await resend();
+        expect(response.status).toBe(200);
+      }
+
+      const limited = await resend();
+      expect(limited.status).toBe(429);
+      expect(limited.body).toHaveProperty('error.code', 'TOO_MANY_REQUESTS');
+    });
+
+    it('should verify the email address with the emailed token', async () => {
+      const token = lastTokenSentTo(resetUser.email);
+
+      const response = await request(app)
+        .post('/api/users/verify-email')
+        .send({ token });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty(
+        'message',
+        'Email verified successfully.'
+      );
+
+      const user = await prisma.user.findUnique({
+        where: { email: resetUser.email },
+      });
+      expect(user.emailVerified).toBe(true);
+
+      // Tokens are single-use
+      const reused = await request(app)
+        .post('/api/users/verify-email')
+        .send({ token });
+      expect(reused.status).toBe(400);
+    });
+
+    it('should not reveal whether an email is registered', async () => {
+      const sentBefore = sentMail.length;
+
+      const response = await request(app)
+        .post('/api/users/forgot-password')
+        .send({ email: 'nobody@example.com' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty(
+        'message',
+        'If an account exists for that email, a reset link has been sent.'
+      );
+      expect(sentMail.length).toBe(sentBefore);
+    });
+
+    it('should reset the password with the emailed token', async () => {
+      const login = await request(app).post('/api/users/login').send({
+        email: resetUser.email,
+        password: resetUser.password,
+      });
+
+      const forgot = await request(app)
+        .post('/api/users/forgot-password')
+        .send({ email: resetUser.email });
+      expect(forgot.status).toBe(200);
+
+      const token = lastTokenSentTo(resetUser.email);
+      const response = await request(app)
+        .post('/api/users/reset-password')
+        .send({ token, password: 'resetpass123' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty(
+        'message',
+        'Password reset successfully.'
+      );
+
+      // Existing sessions are signed out
+      const refresh = await request(app)
+        .post('/api/users/refresh')
+        .send({ refreshToken: login.body.refreshToken });
+      expect(refresh.status).toBe(401);
+
+      const relogin = await request(app).post('/api/users/login').send({
+        email: resetUser.email,
+        password: 'resetpass123',
+      });
+      expect(relogin.status).toBe(200);
+
+      const reused = await request(app)
+        .post('/api/users/reset-password')
+        .send({ token, password: 'another123' });
+      expect(reused.status).toBe(400);
+    });
+
+    afterAll(async () => {
+      await prisma.user.deleteMany({ where: { email: resetUser.email } });
+    });
+  });
+
+  describe('account management', () => {
+    let token;
+    let userId;
+
+    beforeAll(async () => {
+      const response = await request(app).post('/api/users/login').send({
+        email: testUser.email,
+        password: testUser.password,
+      });
+      token = response.body.token;
+    });
+
+    it('should return the authenticated account', async () => {
+      const response = await request(app)
+        .get('/api/users/me')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('username', testUser.username);
+      expect(response.body).toHaveProperty('email', testUser.email);
+      expect(Object.keys(response.body).sort()).toEqual([
+        'createdAt',
+        'email',
+        'emailVerified',
+        'id',
+        'role',
+        'username',
+      ]);
+      userId = response.body.id;
+    });
+
+    it('should update the authenticated username', async () => {
+      const response = await request(app)
+        .patch('/api/users/me')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ username: 'renameduser' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('username', 'renameduser');
+      expect(response.body).not.toHaveProperty('password');
+    });
+
+    it('should return a public profile without private fields', async () => {
+      const response = await request(app).get(`/api/users/${userId}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('username', 'renameduser');
+      expect(response.body).toHaveProperty('createdAt');
+      expect(response.body).toHaveProperty('reviewCount', 0);
+      expect(response.body).toHaveProperty('averageRatingGiven', null);
+      expect(response.body).not.toHaveProperty('email');
+      expect(response.body).not.toHaveProperty('password');
+    });
+
+    it('should return 404 for a non-existent profile', async () => {
+      const response = await request(app).get('/api/users/999999');
+
+      expect(response.status).toBe(404);
+      expect(response.body).toHaveProperty('error.message', 'User not found');
+    });
+
+    it('should reject a password change with the wrong current password', async () => {
+      const response = await request(app)
+        .post('/api/users/me/password')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ currentPassword: 'wrongpassword', newPassword: 'newpass123' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty(
+        'error.message',
+        'Current password is incorrect'
+      );
+    });
+
+    it('should change the password and revoke old tokens', async () => {
+      const response = await request(app)
+        .post('/api/users/me/password')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          currentPassword: testUser.password,
+          newPassword: 'newpass123',
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('token');
+
+      const stale = await request(app)
+        .get('/api/users/me')
+        .set('Authorization', `Bearer ${token}`);
+      expect(stale.status).toBe(401);
+
+      token = response.body.token;
+    });
+
+    it('should delete the authenticated account', async () => {
+      const response = await request(app)
+        .delete('/api/users/me')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty(
+        'message',
+        'Account deleted successfully.'
+      );
+
+      const lookup = await request(app).get(`/api/users/${userId}`);
+      expect(lookup.status).toBe(404);
+    });
   });
 
   afterAll(async () => {
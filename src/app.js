@@ -0,0 +1,65 @@
+const express = require('express');
+const cors = require('cors');
+const { config } = require('./lib/config');
+const { requestId } = require('./middleware/requestId');
+const { accessLog } = require('./middleware/accessLog');
+const { securityHeaders } = require('./middleware/securityHeaders');
+const { mountedAt, requestMetrics } = require('./middleware/metrics');
+const { notFoundHandler, errorHandler } = require('./middleware/error');
+const routes = require('./api/routes');
+const docsRoutes = require('./api/docs/routes');
+const healthRoutes = require('./api/health/routes');
+
+// Only browsers on an allowed origin get CORS headers, and with them
+// permission to send credentials. Requests without an Origin header (same
+// origin, curl, server to server) are unaffected.
+const corsOptions = (origins) => ({
+  origin: (origin, callback) => callback(null, origins.includes(origin)),
+  credentials: true,
+});
+
+// Build the Express application without starting a server, so tests and the
+// process entry point can each decide how to run it. Options default to the
+// configured settings.
+const createApp = ({
+  corsOrigins = config.http.corsOrigins,
+  jsonBodyLimit = config.http.jsonBodyLimit,
+  metricsToken = config.metrics.token,
+} = {}) => {
+  const app = express();
+  app.disable('x-powered-by');
+  app.locals.metricsToken = metricsToken;
+
+  // Set while shutting down: readiness fails and connections are not kept
+  // alive, so load balancers move traffic elsewhere
+  app.locals.draining = false;
+
+  app.use(requestId);
+  app.use(accessLog);
+  app.use(requestMetrics);
+  app.use((req, res, next) => {
+    if (app.locals.draining) res.set('Connection', 'close');
+    next();
+  });
+
+  app.use(securityHeaders);
+
+  app.use(healthRoutes);
+
+  app.use(cors(corsOptions(corsOrigins)));
+  app.use(express.json({ limit: jsonBodyLimit }));
+
+  // Routes
+  for (const [path, router] of routes) {
+    app.use(path, mountedAt(path), router);
+  }
+  app.use('/api', mountedAt('/api'), docsRoutes);
+
+  // Error handling middleware
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  return app;
+};
+
+module.exports = { createApp };
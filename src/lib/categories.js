@@ -0,0 +1,89 @@
+const prisma = require('./prisma');
+
+// URL-safe, case-insensitive identifier for a category name
+const slugify = (name) =>
+  name
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+// Load every category as a tree, with the number of items filed directly
+// under each one (`itemCount`) and under it or any descendant
+// (`totalItemCount`)
+const loadCategoryTree = async () => {
+  const categories = await prisma.category.findMany({
+    orderBy: { name: 'asc' },
+    include: {
+      _count: {
+        select: { items: true },
+      },
+    },
+  });
+
+  const nodes = new Map(
+    categories.map(({ _count, ...category }) => [
+      category.id,
+      { ...category, itemCount: _count.items, children: [] },
+    ])
+  );
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parentId && nodes.get(node.parentId);
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  const addTotals = (node) => {
+    node.totalItemCount = node.children.reduce(
+      (acc, child) => acc + addTotals(child),
+      node.itemCount
+    );
+    return node.totalItemCount;
+  };
+  roots.forEach(addTotals);
+
+  return { roots, nodes };
+};
+
+// IDs of the category with the given slug and all of its descendants,
+// or null if no such category exists
+const categoryAndDescendantIds = async (slug) => {
+  const categories = await prisma.category.findMany({
+    select: { id: true, slug: true, parentId: true },
+  });
+
+  const root = categories.find((category) => category.slug === slug);
+  if (!root) return null;
+
+  const ids = [root.id];
+  for (let i = 0; i < ids.length; i++) {
+    for (const category of categories) {
+      if (category.parentId === ids[i]) ids.push(category.id);
+    }
+  }
+
+  return ids;
+};
+
+// Find a category by name, creating it if it does not exist yet
+const findOrCreateCategory = (name, client = prisma) => {
+  const slug = slugify(name);
+
+  return client.category.upsert({
+    where: { slug },
+    create: { name: name.trim(), slug },
+    update: {},
+  });
+};
+
+module.exports = {
+  slugify,
+  loadCategoryTree,
+  categoryAndDescendantIds,
+  findOrCreateCategory,
+};
@@ -0,0 +1,177 @@
+const dotenv = require('dotenv');
+const { z } = require('zod');
+
+// Every setting the app reads from the environment, validated once at
+// startup so a misconfigured deployment fails immediately with a clear
+// message instead of on the first request that needs the setting.
+
+dotenv.config();
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+const integer = (defaultValue, { min = 1, max } = {}) => {
+  let schema = z.coerce
+    .number({ invalid_type_error: 'must be a number' })
+    .int()
+    .min(min);
+  if (max !== undefined) schema = schema.max(max);
+  return schema.default(defaultValue);
+};
+
+// Comma-separated list, e.g. "https://a.example,https://b.example"
+const list = z
+  .string()
+  .default('')
+  .transform((value) =>
+    value
+      .split(',')
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+  );
+
+const envSchema = z
+  .object({
+    NODE_ENV: z.enum(['development', 'test', 'production']).default(
+      'development'
+    ),
+    PORT: integer(3000, { max: 65535 }),
+    DATABASE_URL: z.string({ required_error: 'is required' }),
+    APP_URL: z.string().url().default('http://localhost:3000'),
+    SHUTDOWN_TIMEOUT_MS: integer(10000),
+
+    JWT_SECRET: z.string({ required_error: 'is required' }),
+    ACCESS_TOKEN_TTL_SECONDS: integer(60 * 60),
+    REFRESH_TOKEN_TTL_DAYS: integer(30),
+    BCRYPT_ROUNDS: integer(10, { min: 4, max: 15 }),
+
+    CORS_ORIGINS: list,
+    JSON_BODY_LIMIT: z
+      .string()
+      .regex(/^\d+(b|kb|mb)$/i, 'must be a size such as 100kb or 1mb')
+      .default('100kb'),
+
+    PAGINATION_DEFAULT_LIMIT: integer(10),
+    PAGINATION_MAX_LIMIT: integer(100),
+
+    LOG_LEVEL: z.enum(LOG_LEVELS).optional(),
+    SLOW_QUERY_MS: integer(500, { min: 0 }),
+    METRICS_TOKEN: z
+      .string()
+      .min(16, 'must be at least 16 characters')
+      .optional(),
+
+    LOGIN_RATE_LIMIT_WINDOW_MS: integer(15 * 60 * 1000),
+    LOGIN_RATE_LIMIT_MAX: integer(20),
+    PASSWORD_RESET_RATE_LIMIT_MAX: integer(5),
+    WRITE_RATE_LIMIT_WINDOW_MS: integer(60 * 1000),
+    WRITE_RATE_LIMIT_MAX: integer(10),
+    LOGIN_LOCKOUT_THRESHOLD: integer(5),
+
+    MAIL_TRANSPORT: z.enum(['console', 'file', 'none']).optional(),
+    MAIL_DIR: z.string().default('tmp/mail'),
+    MAIL_FROM: z.string().default('no-reply@localhost'),
+  })
+  .superRefine((env, ctx) => {
+    if (env.NODE_ENV === 'production' && env.JWT_SECRET.length < 32) {
+      ctx.addIssue({
+        code: 'custom',
+        path: ['JWT_SECRET'],
+        message: 'must be at least 32 characters in production',
+      });
+    }
+
+    // The console transport logs every message, sign-in links included
+    if (env.NODE_ENV === 'production' && env.MAIL_TRANSPORT === 'console') {
+      ctx.addIssue({
+        code: 'custom',
+        path: ['MAIL_TRANSPORT'],
+        message: 'must not be console in production',
+      });
+    }
+
+    if (env.PAGINATION_DEFAULT_LIMIT > env.PAGINATION_MAX_LIMIT) {
+      ctx.addIssue({
+        code: 'custom',
+        path: ['PAGINATION_DEFAULT_LIMIT'],
+        message: 'must not be greater than PAGINATION_MAX_LIMIT',
+      });
+    }
+  });
+
+// Parse an environment into typed settings, throwing an error that lists
+// every invalid or missing variable
+const loadConfig = (env = process.env) => {
+  // Variables set to an empty string count as unset
+  const defined = Object.fromEntries(
+    Object.entries(env).filter(([, value]) => value !== '')
+  );
+
+  const result = envSchema.safeParse(defined);
+  if (!result.success) {
+    const problems = result.error.errors
+      .map((issue) => `  ${issue.path.join('.')}: ${issue.message}`)
+      .join('\n');
+    throw new Error(`Invalid environment configuration:\n${problems}`);
+  }
+
+  const e = result.data;
+
+  return {
+    env: e.NODE_ENV,
+    isProduction: e.NODE_ENV === 'production',
+    port: e.PORT,
+    databaseUrl: e.DATABASE_URL,
+    appUrl: e.APP_URL.replace(/\/+$/, ''),
+    shutdownTimeoutMs: e.SHUTDOWN_TIMEOUT_MS,
+    auth: {
+      jwtSecret: e.JWT_SECRET,
+      accessTokenTtlSeconds: e.ACCESS_TOKEN_TTL_SECONDS,
+      refreshTokenTtlMs: e.REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000,
+      bcryptRounds: e.BCRYPT_ROUNDS,
+    },
+    http: {
+      // Browser origins allowed to call the API with credentials
+      corsOrigins: e.CORS_ORIGINS,
+      jsonBodyLimit: e.JSON_BODY_LIMIT,
+    },
+    pagination: {
+      defaultLimit: e.PAGINATION_DEFAULT_LIMIT,
+      maxLimit: e.PAGINATION_MAX_LIMIT,
+    },
+    log: {
+      // Tests stay quiet unless LOG_LEVEL asks otherwise
+      level: e.LOG_LEVEL || (e.NODE_ENV === 'test' ? 'silent' : 'info'),
+      slowQueryMs: e.SLOW_QUERY_MS,
+    },
+    metrics: {
+      // Bearer token scrapers send to GET /metrics; unset hides the endpoint
+      token: e.METRICS_TOKEN,
+    },
+    rateLimit: {
+      login: {
+        windowMs: e.LOGIN_RATE_LIMIT_WINDOW_MS,
+        max: e.LOGIN_RATE_LIMIT_MAX,
+      },
+      passwordReset: {
+        windowMs: 15 * 60 * 1000,
+        max: e.PASSWORD_RESET_RATE_LIMIT_MAX,
+      },
+      write: {
+        windowMs: e.WRITE_RATE_LIMIT_WINDOW_MS,
+        max: e.WRITE_RATE_LIMIT_MAX,
+      },
+      loginLockoutThreshold: e.LOGIN_LOCKOUT_THRESHOLD,
+    },
+    mail: {
+      // Production sends through a provider plugged in at startup
+      transport:
+        e.MAIL_TRANSPORT || (e.NODE_ENV === 'production' ? 'none' : 'console'),
+      dir: e.MAIL_DIR,
+      from: e.MAIL_FROM,
+    },
+  };
+};
+
+const config = loadConfig();
+
+module.exports = { LOG_LEVELS, config, loadConfig };
@@ -0,0 +1,83 @@
+const { Prisma } = require('@prisma/client');
+
+// Errors thrown from route handlers and middleware. errorHandler turns them
+// into `{ error: { code, message, details, requestId } }` responses.
+class AppError extends Error {
+  constructor(
+    message,
+    { statusCode = 500, code = 'INTERNAL_ERROR', details } = {}
+  ) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message, details) {
+    super(message, { statusCode: 400, code: 'BAD_REQUEST', details });
+  }
+}
+
+// Request data that failed validation; `details` lists the offending fields
+class ValidationError extends AppError {
+  constructor(message = 'Validation failed', details) {
+    super(message, { statusCode: 400, code: 'VALIDATION_ERROR', details });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required') {
+    super(message, { statusCode: 401, code: 'UNAUTHORIZED' });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'Forbidden') {
+    super(message, { statusCode: 403, code: 'FORBIDDEN' });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Not found') {
+    super(message, { statusCode: 404, code: 'NOT_FOUND' });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = 'Conflict', details) {
+    super(message, { statusCode: 409, code: 'CONFLICT', details });
+  }
+}
+
+class PayloadTooLargeError extends AppError {
+  constructor(message = 'Request body is too large', details) {
+    super(message, { statusCode: 413, code: 'PAYLOAD_TOO_LARGE', details });
+  }
+}
+
+class TooManyRequestsError extends AppError {
+  constructor(message = 'Too many requests, please try again later') {
+    super(message, { statusCode: 429, code: 'TOO_MANY_REQUESTS' });
+  }
+}
+
+// Whether `error` is a known Prisma failure with the given code, e.g. P2002
+// for a unique constraint violation
+const isPrismaError = (error, code) =>
+  error instanceof Prisma.PrismaClientKnownRequestError && error.code === code;
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PayloadTooLargeError,
+  TooManyRequestsError,
+  isPrismaError,
+};
@@ -0,0 +1,19 @@
+const { z } = require('zod');
+
+// Query parameters for filtering by creation date, shared by list endpoints
+const dateRangeQuery = {
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+};
+
+// Reject ranges whose start is after their end
+const validDateRange = [
+  (query) => !query.from || !query.to || query.from <= query.to,
+  { message: '`from` must not be after `to`', path: ['from'] },
+];
+
+// Prisma condition on createdAt for an optional from/to range
+const createdAtRange = ({ from, to }) =>
+  from || to ? { createdAt: { gte: from, lte: to } } : {};
+
+module.exports = { dateRangeQuery, validDateRange, createdAtRange };
@@ -0,0 +1,59 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { LOG_LEVELS, config } = require('./config');
+
+// Structured logging: every entry is written as one line of JSON so log
+// pipelines can filter on fields instead of parsing messages.
+
+// Fields for the request being handled (its ID), added to every entry
+// logged while serving it
+const requestContext = new AsyncLocalStorage();
+
+let minLevel = config.log.level;
+let destination = (line) => process.stdout.write(`${line}\n`);
+
+// Change the minimum level and/or where entries are written
+const configureLogger = ({ level, write } = {}) => {
+  if (level) minLevel = level;
+  if (write) destination = write;
+};
+
+// Errors do not serialize to JSON on their own
+const replacer = (key, value) =>
+  value instanceof Error
+    ? {
+        name: value.name,
+        message: value.message,
+        code: value.code,
+        stack: value.stack,
+      }
+    : value;
+
+const createLogger = (bindings = {}) => {
+  const log = (level) => (msg, fields = {}) => {
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(minLevel)) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...requestContext.getStore(),
+      ...bindings,
+      ...fields,
+    };
+
+    destination(JSON.stringify(entry, replacer));
+  };
+
+  return {
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+    // A logger adding the given fields to everything it logs
+    child: (more) => createLogger({ ...bindings, ...more }),
+  };
+};
+
+const logger = createLogger();
+
+module.exports = { logger, requestContext, configureLogger };
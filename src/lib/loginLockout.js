@@ -0,0 +1,75 @@
+const { config } = require('./config');
+
+// Failed logins allowed for an email before it is locked out
+const LOCKOUT_THRESHOLD = config.rateLimit.loginLockoutThreshold;
+const BASE_LOCKOUT_MS = 60 * 1000; // 1 minute
+const MAX_LOCKOUT_MS = 60 * 60 * 1000; // 1 hour
+// Failures older than this are forgotten
+const FAILURE_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+// Most emails tracked at once. Past this the emails whose last failure is
+// oldest are forgotten, so failures against many random emails cannot
+// exhaust memory.
+const MAX_TRACKED_EMAILS = 100000;
+
+// Failure counts per email, in order of last failure; entries are removed
+// on a successful login
+const attempts = new Map();
+let nextSweep = 0;
+
+// Drop forgotten failures at most once a minute. The map is ordered by last
+// failure, so the sweep stops at the first entry still remembered.
+const sweep = (now) => {
+  if (now < nextSweep) return;
+
+  for (const [key, entry] of attempts) {
+    if (entry.lastFailureAt + FAILURE_TTL_MS > now) break;
+    attempts.delete(key);
+  }
+  nextSweep = now + 60 * 1000;
+};
+
+const keyFor = (email) => email.trim().toLowerCase();
+
+// Milliseconds until the email may attempt to log in again, or 0
+const lockoutRemaining = (email) => {
+  const entry = attempts.get(keyFor(email));
+  if (!entry || !entry.lockedUntil) return 0;
+
+  return Math.max(0, entry.lockedUntil - Date.now());
+};
+
+// Count a failed login. Once past the threshold, every further failure
+// doubles the lockout, up to MAX_LOCKOUT_MS.
+const recordLoginFailure = (email) => {
+  const key = keyFor(email);
+  const now = Date.now();
+  sweep(now);
+
+  let entry = attempts.get(key);
+  if (!entry || entry.lastFailureAt + FAILURE_TTL_MS <= now) {
+    entry = { failures: 0, lockedUntil: null };
+  }
+
+  entry.failures += 1;
+  entry.lastFailureAt = now;
+  if (entry.failures >= LOCKOUT_THRESHOLD) {
+    const lockoutMs = Math.min(
+      BASE_LOCKOUT_MS * 2 ** (entry.failures - LOCKOUT_THRESHOLD),
+      MAX_LOCKOUT_MS
+    );
+    entry.lockedUntil = now + lockoutMs;
+  }
+
+  // Re-inserting moves the email to the end of the map
+  attempts.delete(key);
+  if (attempts.size >= MAX_TRACKED_EMAILS) {
+    attempts.delete(attempts.keys().next().value);
+  }
+  attempts.set(key, entry);
+};
+
+const clearLoginFailures = (email) => {
+  attempts.delete(keyFor(email));
+};
+
+module.exports = { lockoutRemaining, recordLoginFailure, clearLoginFailures };
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+// A transport is any object with an async `send(message)` method, where
+// message is { from, to, subject, text }. Production deployments plug in
+// their provider with setMailTransport at startup.
+
+const mailLogger = logger.child({ component: 'mail' });
+
+// Log each message, for development
+const consoleTransport = () => ({
+  send: async ({ to, subject, text }) => {
+    mailLogger.info('mail sent', { to, subject, text });
+  },
+});
+
+// Write each message to its own JSON file in `dir`
+const fileTransport = (dir) => ({
+  send: async (message) => {
+    await fs.mkdir(dir, { recursive: true });
+
+    const name = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    await fs.writeFile(
+      path.join(dir, name),
+      JSON.stringify(message, null, 2)
+    );
+  },
+});
+
+// Refuse to send until a real transport is set
+const noTransport = () => ({
+  send: async () => {
+    throw new Error('No mail transport configured');
+  },
+});
+
+// Selected with MAIL_TRANSPORT=console|file|none (MAIL_DIR sets the
+// directory)
+const defaultTransport = () => {
+  switch (config.mail.transport) {
+    case 'file':
+      return fileTransport(config.mail.dir);
+    case 'console':
+      return consoleTransport();
+    default:
+      return noTransport();
+  }
+};
+
+let transport = defaultTransport();
+
+const setMailTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+const sendMail = (message) =>
+  transport.send({
+    from: config.mail.from,
+    ...message,
+  });
+
+module.exports = {
+  consoleTransport,
+  fileTransport,
+  setMailTransport,
+  sendMail,
+};
@@ -0,0 +1,105 @@
+// Request metrics kept in memory and rendered in the Prometheus text
+// exposition format. Counters are per process and reset on restart, which
+// Prometheus handles when computing rates.
+
+// Upper bounds of the latency histogram buckets, in seconds
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+// Keyed by the serialized label set
+const requestCounts = new Map();
+const durationHistograms = new Map();
+let inFlight = 0;
+
+const labelKey = (labels) => JSON.stringify(labels);
+
+const escapeLabel = (value) =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+
+const formatLabels = (labels) =>
+  Object.entries(labels)
+    .map(([name, value]) => `${name}="${escapeLabel(value)}"`)
+    .join(',');
+
+const requestStarted = () => {
+  inFlight += 1;
+};
+
+// Record a finished request. `route` is the matched route pattern rather
+// than the raw URL so IDs do not each become their own series.
+const requestFinished = ({ method, route, status, durationSeconds }) => {
+  inFlight -= 1;
+
+  const labels = { method, route, status: String(status) };
+  const key = labelKey(labels);
+
+  const count = requestCounts.get(key);
+  requestCounts.set(key, { labels, value: count ? count.value + 1 : 1 });
+
+  let histogram = durationHistograms.get(key);
+  if (!histogram) {
+    histogram = {
+      labels,
+      buckets: DURATION_BUCKETS.map(() => 0),
+      sum: 0,
+      count: 0,
+    };
+    durationHistograms.set(key, histogram);
+  }
+
+  DURATION_BUCKETS.forEach((bound, index) => {
+    if (durationSeconds <= bound) histogram.buckets[index] += 1;
+  });
+  histogram.sum += durationSeconds;
+  histogram.count += 1;
+};
+
+const renderMetrics = () => {
+  const lines = [
+    '# HELP http_requests_total Number of HTTP requests handled.',
+    '# TYPE http_requests_total counter',
+  ];
+
+  for (const { labels, value } of requestCounts.values()) {
+    lines.push(`http_requests_total{${formatLabels(labels)}} ${value}`);
+  }
+
+  lines.push(
+    '# HELP http_request_duration_seconds Time taken to handle HTTP requests.',
+    '# TYPE http_request_duration_seconds histogram'
+  );
+
+  const histogramName = 'http_request_duration_seconds';
+  for (const { labels, buckets, sum, count } of durationHistograms.values()) {
+    DURATION_BUCKETS.forEach((bound, index) => {
+      const bucketLabels = formatLabels({ ...labels, le: String(bound) });
+      lines.push(`${histogramName}_bucket{${bucketLabels}} ${buckets[index]}`);
+    });
+
+    const infLabels = formatLabels({ ...labels, le: '+Inf' });
+    lines.push(
+      `${histogramName}_bucket{${infLabels}} ${count}`,
+      `${histogramName}_sum{${formatLabels(labels)}} ${sum}`,
+      `${histogramName}_count{${formatLabels(labels)}} ${count}`
+    );
+  }
+
+  const memory = process.memoryUsage();
+  lines.push(
+    '# HELP http_requests_in_flight Requests currently being handled.',
+    '# TYPE http_requests_in_flight gauge',
+    `http_requests_in_flight ${inFlight}`,
+    '# HELP process_resident_memory_bytes Resident memory size in bytes.',
+    '# TYPE process_resident_memory_bytes gauge',
+    `process_resident_memory_bytes ${memory.rss}`,
+    '# HELP process_uptime_seconds Time since the process started.',
+    '# TYPE process_uptime_seconds gauge',
+    `process_uptime_seconds ${process.uptime()}`
+  );
+
+  return `${lines.join('\n')}\n`;
+};
+
+module.exports = { requestStarted, requestFinished, renderMetrics };
@@ -0,0 +1,144 @@
+const {
+  zodToJsonSchema,
+  nameComponent,
+  isOptional,
+} = require('./zodToJsonSchema');
+
+// Documented operations, keyed by OpenAPI path and lowercase method
+const paths = {};
+// Named schemas referenced from operations
+const components = {};
+
+// Register a named schema; other schemas embedding it reference it by name
+const component = (name, schema) => {
+  components[name] = schema;
+  return nameComponent(name, schema);
+};
+
+// Express route path ('/:id/vote') to OpenAPI path ('/{id}/vote')
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+const unwrapObject = (schema) =>
+  schema._def.typeName === 'ZodEffects'
+    ? unwrapObject(schema._def.schema)
+    : schema;
+
+const queryParameters = (schema) =>
+  Object.entries(unwrapObject(schema).shape).map(([name, value]) => ({
+    name,
+    in: 'query',
+    required: !isOptional(value),
+    schema: zodToJsonSchema(value),
+  }));
+
+// Every path parameter in this API is a numeric ID
+const pathParameters = (path) =>
+  [...path.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: { type: 'integer' },
+  }));
+
+const jsonContent = (schema) => ({
+  'application/json': { schema: zodToJsonSchema(schema) },
+});
+
+const errorResponse = (description) => ({
+  description,
+  content: {
+    'application/json': { schema: { $ref: '#/components/schemas/Error' } },
+  },
+});
+
+// Errors every operation of a given kind can produce
+const ERROR_RESPONSES = {
+  400: 'Invalid request',
+  401: 'Missing, invalid or revoked access token',
+  403: 'Not allowed to perform this action',
+  404: 'Resource not found',
+  409: 'Conflicts with the current state of the resource',
+  413: 'Request body too large',
+  429: 'Rate limit exceeded',
+};
+
+// Document one route. `path` is relative to `prefix` and written the
+// Express way. Options:
+//   summary, description   text shown in the docs
+//   auth                   true for a Bearer token, 'admin' for admins only
+//   query, body            zod schemas the handler parses
+//   responses              { status: [description, zodSchema?] }
+//   errors                 extra error statuses beyond the defaults
+const documentRoutes = (prefix, tag) => (method, path, options) => {
+  const fullPath = toOpenApiPath(prefix + (path === '/' ? '' : path));
+  const { summary, description, auth, query, body, errors = [] } = options;
+
+  const parameters = [
+    ...pathParameters(fullPath),
+    ...(query ? queryParameters(query) : []),
+  ];
+
+  const responses = {};
+  for (const [status, [text, schema]] of Object.entries(options.responses)) {
+    responses[status] = schema
+      ? { description: text, content: jsonContent(schema) }
+      : { description: text };
+  }
+
+  const errorStatuses = new Set(errors);
+  if (parameters.length > 0 || body) errorStatuses.add(400);
+  if (body) errorStatuses.add(413);
+  if (auth) errorStatuses.add(401);
+  if (auth === 'admin') errorStatuses.add(403);
+  for (const status of [...errorStatuses].sort()) {
+    responses[status] = errorResponse(ERROR_RESPONSES[status]);
+  }
+
+  paths[fullPath] = paths[fullPath] || {};
+  paths[fullPath][method] = {
+    tags: [tag],
+    summary,
+    description,
+    security: auth ? [{ bearerAuth: [] }] : undefined,
+    parameters: parameters.length > 0 ? parameters : undefined,
+    requestBody: body
+      ? { required: true, content: jsonContent(body) }
+      : undefined,
+    responses,
+  };
+};
+
+// Whether an operation has been documented for the method and Express path
+const isDocumented = (method, path) => {
+  const operations = paths[toOpenApiPath(path)];
+  return Boolean(operations && operations[method]);
+};
+
+// Assemble the OpenAPI document from everything registered so far
+const buildDocument = () => ({
+  openapi: '3.1.0',
+  info: {
+    title: 'Reviews API',
+    version: '1.0.0',
+    description: 'Items, reviews and comments with moderation and search.',
+  },
+  paths,
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+    },
+    schemas: Object.fromEntries(
+      Object.entries(components).map(([name, schema]) => [
+        name,
+        zodToJsonSchema(schema, { root: true }),
+      ])
+    ),
+  },
+});
+
+module.exports = {
+  component,
+  documentRoutes,
+  isDocumented,
+  buildDocument,
+};
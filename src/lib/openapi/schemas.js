@@ -0,0 +1,298 @@
+const { z } = require('zod');
+const { component } = require('./registry');
+
+// Response shapes shared across the API documentation
+
+const timestamp = z.string().datetime();
+
+const ErrorBody = component(
+  'Error',
+  z.object({
+    error: z.object({
+      code: z.string().describe('Machine-readable error code'),
+      message: z.string(),
+      details: z.any().describe('Validation issues or other context'),
+      requestId: z.string().nullable(),
+    }),
+  })
+);
+
+const Message = component('Message', z.object({ message: z.string() }));
+
+const UserSummary = component(
+  'UserSummary',
+  z.object({ id: z.number().int(), username: z.string() })
+);
+
+const Account = component(
+  'Account',
+  z.object({
+    id: z.number().int(),
+    username: z.string(),
+    email: z.string().email(),
+    emailVerified: z.boolean(),
+    role: z.enum(['user', 'admin']).optional(),
+    createdAt: timestamp,
+  })
+);
+
+const PublicProfile = component(
+  'PublicProfile',
+  z.object({
+    id: z.number().int(),
+    username: z.string(),
+    createdAt: timestamp,
+    reviewCount: z.number().int(),
+    averageRatingGiven: z.number().nullable(),
+  })
+);
+
+const TokenPair = component(
+  'TokenPair',
+  z.object({
+    token: z.string().describe('Short-lived access token'),
+    refreshToken: z.string().describe('Single-use refresh token'),
+  })
+);
+
+const CategorySummary = component(
+  'CategorySummary',
+  z.object({ id: z.number().int(), name: z.string(), slug: z.string() })
+);
+
+const Category = component(
+  'Category',
+  z.object({
+    id: z.number().int(),
+    name: z.string(),
+    slug: z.string(),
+    parentId: z.number().int().nullable(),
+    createdAt: timestamp,
+  })
+);
+
+const CategoryNode = component(
+  'CategoryNode',
+  Category.extend({
+    itemCount: z.number().int(),
+    totalItemCount: z
+      .number()
+      .int()
+      .describe('Items in this category and all of its subcategories'),
+    children: z.array(z.lazy(() => CategoryNode)),
+  })
+);
+
+const Tag = component(
+  'Tag',
+  z.object({ id: z.number().int(), name: z.string(), slug: z.string() })
+);
+
+const TagUsage = component(
+  'TagUsage',
+  Tag.extend({ createdAt: timestamp, itemCount: z.number().int() })
+);
+
+const Item = component(
+  'Item',
+  z.object({
+    id: z.number().int(),
+    name: z.string(),
+    description: z.string().nullable(),
+    categoryId: z.number().int().nullable(),
+    category: CategorySummary.nullable(),
+    tags: z.array(Tag),
+    reviewCount: z.number().int(),
+    ratingSum: z.number().int(),
+    averageRating: z.number().nullable(),
+    ratingHistogram: z
+      .record(z.number().int())
+      .describe('Number of reviews per star rating, 1 to 5'),
+    createdAt: timestamp,
+  })
+);
+
+const ItemSummary = component(
+  'ItemSummary',
+  z.object({
+    id: z.number().int(),
+    name: z.string(),
+    category: CategorySummary.nullable(),
+  })
+);
+
+const ReviewSummary = component(
+  'ReviewSummary',
+  z.object({
+    id: z.number().int(),
+    itemId: z.number().int(),
+    rating: z.number().int(),
+    content: z.string(),
+  })
+);
+
+const Review = component(
+  'Review',
+  z.object({
+    id: z.number().int(),
+    rating: z.number().int().min(1).max(5),
+    content: z.string(),
+    userId: z.number().int(),
+    itemId: z.number().int(),
+    helpfulCount: z.number().int(),
+    notHelpfulCount: z.number().int(),
+    hiddenAt: timestamp.nullable(),
+    deletedAt: timestamp.nullable(),
+    editedAt: timestamp.nullable(),
+    edited: z.boolean(),
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    user: UserSummary.optional(),
+    item: ItemSummary.optional(),
+    _count: z.object({ comments: z.number().int() }).optional(),
+  })
+);
+
+const Comment = component(
+  'Comment',
+  z.object({
+    id: z.number().int(),
+    content: z
+      .string()
+      .nullable()
+      .describe('Null for a deleted comment kept as a placeholder in a tree'),
+    userId: z.number().int(),
+    reviewId: z.number().int(),
+    parentId: z.number().int().nullable(),
+    hiddenAt: timestamp.nullable(),
+    deletedAt: timestamp.nullable(),
+    editedAt: timestamp.nullable(),
+    edited: z.boolean(),
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    user: UserSummary.optional(),
+    review: ReviewSummary.optional(),
+    _count: z.object({ replies: z.number().int() }).optional(),
+    replies: z
+      .array(z.lazy(() => Comment))
+      .optional()
+      .describe('Nested replies, when listing as a tree'),
+  })
+);
+
+const ItemDetail = component(
+  'ItemDetail',
+  Item.extend({
+    reviews: z.array(Review.extend({ comments: z.array(Comment) })),
+  })
+);
+
+const ReviewRevision = component(
+  'ReviewRevision',
+  z.object({
+    id: z.number().int(),
+    reviewId: z.number().int(),
+    rating: z.number().int(),
+    content: z.string(),
+    createdAt: timestamp,
+  })
+);
+
+const CommentRevision = component(
+  'CommentRevision',
+  z.object({
+    id: z.number().int(),
+    commentId: z.number().int(),
+    content: z.string(),
+    createdAt: timestamp,
+  })
+);
+
+const VoteTally = component(
+  'VoteTally',
+  z.object({
+    reviewId: z.number().int(),
+    helpfulCount: z.number().int(),
+    notHelpfulCount: z.number().int(),
+    myVote: z.boolean().nullable(),
+  })
+);
+
+const Report = component(
+  'Report',
+  z.object({
+    id: z.number().int(),
+    reason: z.enum(['spam', 'abuse', 'offensive', 'off_topic', 'other']),
+    details: z.string().nullable(),
+    status: z.enum(['open', 'resolved', 'dismissed']),
+    reporterId: z.number().int(),
+    reviewId: z.number().int().nullable(),
+    commentId: z.number().int().nullable(),
+    resolvedById: z.number().int().nullable(),
+    resolutionNote: z.string().nullable(),
+    resolvedAt: timestamp.nullable(),
+    createdAt: timestamp,
+  })
+);
+
+const SearchResult = component(
+  'SearchResult',
+  z.object({
+    type: z.enum(['item', 'review']),
+    id: z.number().int(),
+    itemId: z.number().int(),
+    title: z.string(),
+    snippet: z
+      .string()
+      .describe('Matching text, HTML-escaped, with terms in <mark> tags'),
+    rank: z.number(),
+  })
+);
+
+const Deleted = component(
+  'Deleted',
+  Message.extend({
+    restorableUntil: timestamp.describe('Last moment the author can restore'),
+  })
+);
+
+// A page of results under `key`, with page or cursor pagination details
+const page = (key, schema) =>
+  z.object({
+    page: z.number().int().optional(),
+    limit: z.number().int(),
+    total: z.number().int().optional(),
+    totalPages: z.number().int().optional(),
+    nextCursor: z
+      .string()
+      .nullable()
+      .optional()
+      .describe('Pass as `cursor` to fetch the next page'),
+    [key]: z.array(schema),
+  });
+
+module.exports = {
+  Error: ErrorBody,
+  Message,
+  UserSummary,
+  Account,
+  PublicProfile,
+  TokenPair,
+  Category,
+  CategoryNode,
+  Tag,
+  TagUsage,
+  Item,
+  ItemSummary,
+  ItemDetail,
+  Review,
+  ReviewSummary,
+  Comment,
+  ReviewRevision,
+  CommentRevision,
+  VoteTally,
+  Report,
+  SearchResult,
+  Deleted,
+  page,
+};
@@ -0,0 +1,139 @@
+// Convert the zod schemas used by the routes into JSON Schema (draft
+// 2020-12, as used by OpenAPI 3.1). Only the zod features the API relies on
+// are supported; anything else fails loudly so the docs never silently lie.
+
+// Schemas registered as named components are emitted as $refs
+const componentNames = new WeakMap();
+
+const nameComponent = (name, schema) => {
+  componentNames.set(schema, name);
+  return schema;
+};
+
+const componentRef = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const stringSchema = (def) => {
+  const json = { type: 'string' };
+
+  for (const check of def.checks) {
+    if (check.kind === 'min') json.minLength = check.value;
+    if (check.kind === 'max') json.maxLength = check.value;
+    if (check.kind === 'email') json.format = 'email';
+    if (check.kind === 'url') json.format = 'uri';
+    if (check.kind === 'datetime') json.format = 'date-time';
+    if (check.kind === 'regex') json.pattern = check.regex.source;
+  }
+
+  return json;
+};
+
+const numberSchema = (def) => {
+  const json = { type: 'number' };
+
+  for (const check of def.checks) {
+    if (check.kind === 'int') json.type = 'integer';
+    if (check.kind === 'min') {
+      json[check.inclusive ? 'minimum' : 'exclusiveMinimum'] = check.value;
+    }
+    if (check.kind === 'max') {
+      json[check.inclusive ? 'maximum' : 'exclusiveMaximum'] = check.value;
+    }
+  }
+
+  return json;
+};
+
+// Whether a property may be left out of an object
+const isOptional = (schema) => {
+  const { typeName } = schema._def;
+  if (typeName === 'ZodOptional' || typeName === 'ZodDefault') return true;
+  if (typeName === 'ZodEffects') return isOptional(schema._def.schema);
+  return false;
+};
+
+const objectSchema = (schema) => {
+  const properties = {};
+  const required = [];
+
+  for (const [key, value] of Object.entries(schema.shape)) {
+    properties[key] = zodToJsonSchema(value);
+    if (!isOptional(value)) required.push(key);
+  }
+
+  const json = { type: 'object', properties };
+  if (required.length > 0) json.required = required;
+  if (schema._def.unknownKeys === 'strict') json.additionalProperties = false;
+
+  return json;
+};
+
+const nullable = (json) => {
+  if (typeof json.type !== 'string') {
+    return { anyOf: [json, { type: 'null' }] };
+  }
+
+  const result = { ...json, type: [json.type, 'null'] };
+  if (json.enum) result.enum = [...json.enum, null];
+  return result;
+};
+
+const zodToJsonSchema = (schema, { root = false } = {}) => {
+  const name = componentNames.get(schema);
+  if (name && !root) return componentRef(name);
+
+  const def = schema._def;
+  const json = convert(schema, def);
+
+  if (def.description) json.description = def.description;
+  return json;
+};
+
+const convert = (schema, def) => {
+  switch (def.typeName) {
+    case 'ZodString':
+      return stringSchema(def);
+    case 'ZodNumber':
+      return numberSchema(def);
+    case 'ZodBoolean':
+      return { type: 'boolean' };
+    case 'ZodDate':
+      return { type: 'string', format: 'date-time' };
+    case 'ZodLiteral':
+      return { const: def.value };
+    case 'ZodEnum':
+      return { type: 'string', enum: def.values };
+    case 'ZodObject':
+      return objectSchema(schema);
+    case 'ZodArray': {
+      const json = { type: 'array', items: zodToJsonSchema(def.type) };
+      if (def.minLength) json.minItems = def.minLength.value;
+      if (def.maxLength) json.maxItems = def.maxLength.value;
+      return json;
+    }
+    case 'ZodRecord':
+      return {
+        type: 'object',
+        additionalProperties: zodToJsonSchema(def.valueType),
+      };
+    case 'ZodUnion':
+      return { anyOf: def.options.map((option) => zodToJsonSchema(option)) };
+    case 'ZodOptional':
+      return zodToJsonSchema(def.innerType);
+    case 'ZodNullable':
+      return nullable(zodToJsonSchema(def.innerType));
+    case 'ZodDefault':
+      return { ...zodToJsonSchema(def.innerType), default: def.defaultValue() };
+    // Refinements and transforms document the input they validate
+    case 'ZodEffects':
+      return zodToJsonSchema(def.schema);
+    case 'ZodLazy':
+      return zodToJsonSchema(def.getter());
+    case 'ZodAny':
+    case 'ZodUnknown':
+      return {};
+    default:
+      throw new Error(`Cannot document zod type ${def.typeName}`);
+  }
+};
+
+module.exports = { zodToJsonSchema, nameComponent, isOptional };
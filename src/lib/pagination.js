@@ -0,0 +1,142 @@
+const { z } = require('zod');
+const { config } = require('./config');
+
+// Query parameters shared by every paginated list endpoint.
+// `cursor` takes precedence over `page` when both are given.
+const paginationQuery = {
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce
+    .number()
+    .int()
+    .min(1)
+    .max(config.pagination.maxLimit)
+    .default(config.pagination.defaultLimit),
+  cursor: z.string().min(1).optional(),
+};
+
+// Cursors are opaque to clients: base64url-encoded sort key values
+const encodeCursor = (values) =>
+  Buffer.from(JSON.stringify(values), 'utf8').toString('base64url');
+
+const invalidCursor = () =>
+  new z.ZodError([
+    { code: 'custom', path: ['cursor'], message: 'Invalid cursor' },
+  ]);
+
+// Checks for the cursor value of each type of sort field, so a tampered
+// cursor is rejected here rather than failing inside the query
+const VALUE_TYPES = {
+  // Dates are encoded the way JSON.stringify writes them
+  date: (value) =>
+    typeof value === 'string' &&
+    !Number.isNaN(Date.parse(value)) &&
+    new Date(value).toISOString() === value,
+  // Within the range of a Postgres integer column
+  integer: (value) => Number.isInteger(value) && Math.abs(value) <= 2147483647,
+  number: Number.isFinite,
+  string: (value) => typeof value === 'string',
+};
+
+const decodeCursor = (cursor, sortFields) => {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw invalidCursor();
+  }
+
+  // A cursor from a differently sorted listing cannot be resumed
+  const matches =
+    values !== null &&
+    typeof values === 'object' &&
+    sortFields.every(({ field, type, nullable }) => {
+      const value = values[field];
+      return (nullable && value === null) || VALUE_TYPES[type](value);
+    });
+
+  if (!matches) {
+    throw invalidCursor();
+  }
+
+  return values;
+};
+
+// Condition selecting the rows that come strictly after `value` on one field.
+// Nullable fields always sort their nulls last.
+const afterValue = ({ field, direction, nullable }, value) => {
+  const op = direction === 'asc' ? 'gt' : 'lt';
+
+  if (!nullable) return { [field]: { [op]: value } };
+  if (value === null) return null;
+
+  return { OR: [{ [field]: { [op]: value } }, { [field]: null }] };
+};
+
+// Keyset condition for rows after the cursor: for each sort field, rows equal
+// on every earlier field and strictly after on this one
+const buildCursorWhere = (sortFields, values) => {
+  const clauses = [];
+
+  sortFields.forEach((sortField, index) => {
+    const after = afterValue(sortField, values[sortField.field]);
+    if (!after) return;
+
+    const equalities = sortFields
+      .slice(0, index)
+      .map(({ field }) => ({ [field]: values[field] }));
+
+    clauses.push({ AND: [...equalities, after] });
+  });
+
+  return { OR: clauses };
+};
+
+// Build the Prisma arguments for one page of a list.
+// `sortFields` is an ordered list of { field, direction, type, nullable },
+// where `type` is one of the VALUE_TYPES, and must end with a unique field
+// (normally `id`) so the ordering is total. Listings ordered some other way,
+// such as by search relevance, pass no sort fields and are paged by number.
+const paginate = (sortFields, { page, limit, cursor }) => {
+  const cursorValues = cursor ? decodeCursor(cursor, sortFields) : null;
+  const cursorWhere = cursorValues
+    ? buildCursorWhere(sortFields, cursorValues)
+    : null;
+
+  const orderBy = sortFields.map(({ field, direction, nullable }) =>
+    nullable
+      ? { [field]: { sort: direction, nulls: 'last' } }
+      : { [field]: direction }
+  );
+
+  return {
+    // Sort key values the cursor resumes after, for callers that build
+    // their own query
+    cursorValues,
+    // Combine the caller's filters with the cursor condition
+    where: (where = {}) => (cursorWhere ? { AND: [where, cursorWhere] } : where),
+    orderBy,
+    // One extra row tells us whether another page exists
+    skip: cursor ? 0 : (page - 1) * limit,
+    take: limit + 1,
+    // Trim the extra row and derive the cursor for the next page
+    toPage: (rows) => {
+      const hasMore = rows.length > limit;
+      const pageRows = hasMore ? rows.slice(0, limit) : rows;
+      const last = pageRows[pageRows.length - 1];
+
+      return {
+        rows: pageRows,
+        nextCursor:
+          hasMore && sortFields.length > 0
+            ? encodeCursor(
+                Object.fromEntries(
+                  sortFields.map(({ field }) => [field, last[field]])
+                )
+              )
+            : null,
+      };
+    },
+  };
+};
+
+module.exports = { paginationQuery, paginate };
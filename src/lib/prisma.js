@@ -0,0 +1,52 @@
+const { PrismaClient } = require('@prisma/client');
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+// Reviews and comments report whether their author has edited them
+const edited = {
+  needs: { editedAt: true },
+  compute: (record) => record.editedAt !== null,
+};
+
+const dbLogger = logger.child({ component: 'prisma' });
+
+const client = new PrismaClient({
+  datasources: { db: { url: config.databaseUrl } },
+  log: [
+    { emit: 'event', level: 'query' },
+    { emit: 'event', level: 'info' },
+    { emit: 'event', level: 'warn' },
+    { emit: 'event', level: 'error' },
+  ],
+});
+
+// Queries slower than SLOW_QUERY_MS are logged as warnings; every query is
+// logged at debug level
+client.$on('query', (event) => {
+  if (event.duration >= config.log.slowQueryMs) {
+    // Parameters are left out as they may hold personal data
+    dbLogger.warn('slow query', {
+      query: event.query,
+      durationMs: event.duration,
+    });
+  } else {
+    dbLogger.debug('query', {
+      query: event.query,
+      params: event.params,
+      durationMs: event.duration,
+    });
+  }
+});
+
+client.$on('info', (event) => dbLogger.info(event.message));
+client.$on('warn', (event) => dbLogger.warn(event.message));
+client.$on('error', (event) => dbLogger.error(event.message));
+
+const prisma = client.$extends({
+  result: {
+    review: { edited },
+    comment: { edited },
+  },
+});
+
+module.exports = prisma;
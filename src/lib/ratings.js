@@ -0,0 +1,103 @@
+const prisma = require('./prisma');
+const { VISIBLE } = require('./visibility');
+
+const RATINGS = [1, 2, 3, 4, 5];
+
+// Item column holding the number of reviews with the given star rating
+const histogramField = (rating) => `rating${rating}Count`;
+
+// Build the increment/decrement payload for a set of rating changes
+const buildStatsDelta = ({ added = [], removed = [] }) => {
+  const data = {
+    reviewCount: { increment: added.length - removed.length },
+    ratingSum: {
+      increment:
+        added.reduce((acc, rating) => acc + rating, 0) -
+        removed.reduce((acc, rating) => acc + rating, 0),
+    },
+  };
+
+  for (const rating of RATINGS) {
+    const delta =
+      added.filter((r) => r === rating).length -
+      removed.filter((r) => r === rating).length;
+    if (delta !== 0) {
+      data[histogramField(rating)] = { increment: delta };
+    }
+  }
+
+  return data;
+};
+
+// Recalculate the stored average from the counters just written
+const refreshAverage = (client, item) =>
+  client.item.update({
+    where: { id: item.id },
+    data: {
+      averageRating:
+        item.reviewCount > 0 ? item.ratingSum / item.reviewCount : null,
+    },
+  });
+
+// Apply added/removed ratings to an item's stats.
+// Must be called with the transaction client that wrote the review so the
+// counters stay consistent with the reviews table.
+const applyRatingChange = async (tx, itemId, change) => {
+  const item = await tx.item.update({
+    where: { id: itemId },
+    data: buildStatsDelta(change),
+  });
+
+  return refreshAverage(tx, item);
+};
+
+// Rebuild an item's stats from its reviews, discarding any drift
+const recomputeItemStats = async (itemId, client = prisma) => {
+  const groups = await client.review.groupBy({
+    by: ['rating'],
+    // Hidden and deleted reviews do not count towards the stats
+    where: { itemId, ...VISIBLE },
+    _count: { _all: true },
+  });
+
+  const data = { reviewCount: 0, ratingSum: 0 };
+  for (const rating of RATINGS) {
+    data[histogramField(rating)] = 0;
+  }
+
+  for (const group of groups) {
+    data.reviewCount += group._count._all;
+    data.ratingSum += group.rating * group._count._all;
+    data[histogramField(group.rating)] = group._count._all;
+  }
+
+  data.averageRating =
+    data.reviewCount > 0 ? data.ratingSum / data.reviewCount : null;
+
+  return client.item.update({
+    where: { id: itemId },
+    data,
+  });
+};
+
+// Shape an item's stored stats for API responses
+const withRatingStats = (item) => {
+  const result = { ...item };
+  const ratingHistogram = {};
+
+  for (const rating of RATINGS) {
+    ratingHistogram[rating] = item[histogramField(rating)];
+    delete result[histogramField(rating)];
+  }
+
+  return {
+    ...result,
+    averageRating:
+      item.averageRating !== null
+        ? parseFloat(item.averageRating.toFixed(2))
+        : null,
+    ratingHistogram,
+  };
+};
+
+module.exports = { applyRatingChange, recomputeItemStats, withRatingStats };
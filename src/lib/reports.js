@@ -0,0 +1,26 @@
+const { z } = require('zod');
+const prisma = require('./prisma');
+const { isPrismaError } = require('./errors');
+
+// Schema validation for reporting a review or comment
+const reportSchema = z.object({
+  reason: z.enum(['spam', 'abuse', 'offensive', 'off_topic', 'other']),
+  details: z.string().min(1).max(1000).optional(),
+});
+
+// File a report against a review or comment.
+// `target` is either { reviewId } or { commentId }.
+// Returns null if the user has already reported the same content; the
+// unique (reporterId, target) constraints decide between concurrent reports.
+const fileReport = async (reporterId, target, { reason, details }) => {
+  try {
+    return await prisma.report.create({
+      data: { reporterId, ...target, reason, details },
+    });
+  } catch (error) {
+    if (isPrismaError(error, 'P2002')) return null;
+    throw error;
+  }
+};
+
+module.exports = { reportSchema, fileReport };
@@ -0,0 +1,171 @@
+const prisma = require('./prisma');
+const { applyRatingChange } = require('./ratings');
+const { NotFoundError, ConflictError, isPrismaError } = require('./errors');
+const { reviewInclude } = require('./serializers');
+
+const duplicateReview = () =>
+  new ConflictError('You have already reviewed this item.');
+
+// Create a user's review of an item and count it in the item stats.
+// The unique (userId, itemId) constraint is the final arbiter, so two
+// concurrent requests yield one review and one ConflictError.
+const createReview = async (userId, itemId, { rating, content }) => {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const item = await tx.item.findUnique({ where: { id: itemId } });
+      if (!item) {
+        throw new NotFoundError('Item not found');
+      }
+
+      const existingReview = await tx.review.findUnique({
+        where: { userId_itemId: { userId, itemId } },
+      });
+
+      if (existingReview && !existingReview.deletedAt) {
+        throw duplicateReview();
+      }
+
+      // Reviewing again forfeits the chance to restore a deleted review. The
+      // row is reused rather than deleted so that other users' comments and
+      // reports on it survive; its votes were cast on the old text and go.
+      if (existingReview) {
+        await tx.reviewVote.deleteMany({
+          where: { reviewId: existingReview.id },
+        });
+
+        const replaced = await tx.review.update({
+          where: { id: existingReview.id },
+          data: {
+            rating,
+            content,
+            helpfulCount: 0,
+            notHelpfulCount: 0,
+            hiddenAt: null,
+            deletedAt: null,
+            deletedById: null,
+            editedAt: null,
+            createdAt: new Date(),
+          },
+          include: reviewInclude,
+        });
+
+        await applyRatingChange(tx, itemId, { added: [rating] });
+
+        return replaced;
+      }
+
+      const created = await tx.review.create({
+        data: {
+          rating,
+          content,
+          user: { connect: { id: userId } },
+          item: { connect: { id: itemId } },
+        },
+        include: reviewInclude,
+      });
+
+      await applyRatingChange(tx, itemId, { added: [rating] });
+
+      return created;
+    });
+  } catch (error) {
+    if (isPrismaError(error, 'P2002')) {
+      throw duplicateReview();
+    }
+    // The item was deleted while the review was being written
+    if (isPrismaError(error, 'P2025')) {
+      throw new NotFoundError('Item not found');
+    }
+    throw error;
+  }
+};
+
+// Lock a review's row for the rest of the transaction and read the fields
+// an edit replaces
+const lockReview = async (tx, reviewId) => {
+  const [review] = await tx.$queryRaw`
+    SELECT rating, content, hidden_at AS "hiddenAt", deleted_at AS "deletedAt"
+    FROM reviews
+    WHERE id = ${reviewId}
+    FOR UPDATE
+  `;
+  return review || null;
+};
+
+// Apply a rating and/or content change to an existing review, keeping the
+// previous version as a revision and the item stats in sync
+const updateReview = async (existingReview, { rating, content }) =>
+  prisma.$transaction(async (tx) => {
+    // Concurrent edits queue up here, so each one replaces the rating the
+    // previous one wrote rather than the one read before the transaction
+    const current = await lockReview(tx, existingReview.id);
+    if (!current || current.deletedAt || current.hiddenAt) {
+      throw new NotFoundError('Review not found');
+    }
+
+    const nextRating = rating !== undefined ? rating : current.rating;
+    const nextContent = content !== undefined ? content : current.content;
+    const changed =
+      nextRating !== current.rating || nextContent !== current.content;
+
+    // Keep the version being replaced so edits stay auditable
+    if (changed) {
+      await tx.reviewRevision.create({
+        data: {
+          reviewId: existingReview.id,
+          rating: current.rating,
+          content: current.content,
+        },
+      });
+    }
+
+    const updated = await tx.review.update({
+      where: { id: existingReview.id },
+      data: {
+        rating: nextRating,
+        content: nextContent,
+        editedAt: changed ? new Date() : undefined,
+      },
+      include: reviewInclude,
+    });
+
+    if (updated.rating !== current.rating) {
+      await applyRatingChange(tx, updated.itemId, {
+        added: [updated.rating],
+        removed: [current.rating],
+      });
+    }
+
+    return updated;
+  });
+
+// Create the user's review of an item, or update it if one exists.
+// Resolves to { review, created }.
+const upsertReview = async (userId, itemId, data) => {
+  // A create that loses a race with a concurrent one is retried as an update
+  for (let attempt = 0; ; attempt++) {
+    const existingReview = await prisma.review.findUnique({
+      where: { userId_itemId: { userId, itemId } },
+    });
+
+    if (existingReview && !existingReview.deletedAt) {
+      if (existingReview.hiddenAt) {
+        throw new ConflictError(
+          'Your review of this item has been hidden by a moderator.'
+        );
+      }
+
+      const review = await updateReview(existingReview, data);
+      return { review, created: false };
+    }
+
+    try {
+      const review = await createReview(userId, itemId, data);
+      return { review, created: true };
+    } catch (error) {
+      if (!(error instanceof ConflictError) || attempt > 0) throw error;
+    }
+  }
+};
+
+module.exports = { createReview, updateReview, upsertReview };
@@ -0,0 +1,218 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('./prisma');
+
+// Matched terms are wrapped in <mark> tags in result snippets
+const HEADLINE_OPTIONS =
+  'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2';
+
+// Snippet of `text` highlighting the terms of the enclosing query's `query`.
+// Snippets are HTML, so the text is escaped first and the <mark> tags are
+// the only markup in them.
+const headline = (text) => Prisma.sql`
+  ts_headline(
+    'english',
+    replace(replace(replace(${text}, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'),
+    query,
+    ${HEADLINE_OPTIONS}
+  )
+`;
+
+// Parse free text the way a web search box would ("quoted phrases", -not, or)
+const tsQuery = (q) => Prisma.sql`websearch_to_tsquery('english', ${q})`;
+
+// Item columns the item list can be sorted by
+const ITEM_SORT_COLUMNS = {
+  name: 'i.name',
+  createdAt: 'i.created_at',
+  averageRating: 'i.average_rating',
+  reviewCount: 'i.review_count',
+  id: 'i.id',
+};
+
+// SQL for the item list filters, matching the Prisma conditions used when
+// there is no search term. An unknown category (`categoryIds` of []) matches
+// nothing.
+const itemFilters = ({
+  categoryIds,
+  tags = [],
+  tagMode,
+  minRating,
+  maxRating,
+  hasReviews,
+}) => {
+  const conditions = [];
+
+  if (categoryIds) {
+    conditions.push(
+      categoryIds.length > 0
+        ? Prisma.sql`i.category_id IN (${Prisma.join(categoryIds)})`
+        : Prisma.sql`FALSE`
+    );
+  }
+
+  if (tags.length > 0) {
+    const matchingTags = Prisma.sql`
+      SELECT count(*)::int FROM item_tags it
+      JOIN tags t ON t.id = it.tag_id
+      WHERE it.item_id = i.id AND t.slug IN (${Prisma.join(tags)})
+    `;
+    conditions.push(
+      tagMode === 'any'
+        ? Prisma.sql`(${matchingTags}) > 0`
+        : Prisma.sql`(${matchingTags}) = ${tags.length}`
+    );
+  }
+
+  if (minRating !== undefined) {
+    conditions.push(Prisma.sql`i.average_rating >= ${minRating}`);
+  }
+  if (maxRating !== undefined) {
+    conditions.push(Prisma.sql`i.average_rating <= ${maxRating}`);
+  }
+
+  if (hasReviews !== undefined) {
+    conditions.push(
+      hasReviews
+        ? Prisma.sql`i.review_count > 0`
+        : Prisma.sql`i.review_count = 0`
+    );
+  }
+
+  return conditions;
+};
+
+// A cursor value as an SQL parameter. Dates are stored without a time zone
+// in UTC, which is what the ISO strings in cursors hold.
+const cursorValue = ({ type }, value) =>
+  type === 'date' ? Prisma.sql`${value}::timestamp` : Prisma.sql`${value}`;
+
+// Keyset condition for rows after the cursor, as paginate() builds for
+// Prisma queries: equal on every earlier sort field and strictly after on
+// one. Nullable fields sort their nulls last.
+const afterCursor = (sortFields, values) => {
+  const column = ({ field }) => Prisma.raw(ITEM_SORT_COLUMNS[field]);
+  const clauses = [];
+
+  sortFields.forEach((sortField, index) => {
+    const value = values[sortField.field];
+    if (sortField.nullable && value === null) return;
+
+    const op = Prisma.raw(sortField.direction === 'asc' ? '>' : '<');
+    const param = cursorValue(sortField, value);
+    let after = Prisma.sql`${column(sortField)} ${op} ${param}`;
+    if (sortField.nullable) {
+      after = Prisma.sql`(${after} OR ${column(sortField)} IS NULL)`;
+    }
+
+    const equalities = sortFields.slice(0, index).map((earlier) => {
+      const previous = values[earlier.field];
+      return previous === null
+        ? Prisma.sql`${column(earlier)} IS NULL`
+        : Prisma.sql`${column(earlier)} = ${cursorValue(earlier, previous)}`;
+    });
+
+    clauses.push(Prisma.sql`(${Prisma.join([...equalities, after], ' AND ')})`);
+  });
+
+  return Prisma.sql`(${Prisma.join(clauses, ' OR ')})`;
+};
+
+const orderBy = (sortFields) =>
+  Prisma.raw(
+    sortFields
+      .map(({ field, direction, nullable }) => {
+        const nulls = nullable ? ' NULLS LAST' : '';
+        return `${ITEM_SORT_COLUMNS[field]} ${direction.toUpperCase()}${nulls}`;
+      })
+      .join(', ')
+  );
+
+// One page of the IDs of items matching the query and the item list
+// filters, and how many items match in all. `pagination` comes from
+// paginate(sortFields, ...); with no sort fields the most relevant items
+// come first.
+const searchItems = async (q, filters, { sortFields, pagination }) => {
+  const conditions = [
+    Prisma.sql`i.search_vector @@ query`,
+    ...itemFilters(filters),
+  ];
+
+  const pageConditions = pagination.cursorValues
+    ? [...conditions, afterCursor(sortFields, pagination.cursorValues)]
+    : conditions;
+
+  const order =
+    sortFields.length > 0
+      ? orderBy(sortFields)
+      : Prisma.sql`ts_rank(i.search_vector, query) DESC, i.id ASC`;
+
+  const [rows, [{ total }]] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT i.id
+      FROM items i, ${tsQuery(q)} query
+      WHERE ${Prisma.join(pageConditions, ' AND ')}
+      ORDER BY ${order}
+      LIMIT ${pagination.take} OFFSET ${pagination.skip}
+    `,
+    prisma.$queryRaw`
+      SELECT count(*)::int AS total
+      FROM items i, ${tsQuery(q)} query
+      WHERE ${Prisma.join(conditions, ' AND ')}
+    `,
+  ]);
+
+  return { ids: rows.map((row) => row.id), total };
+};
+
+const itemResults = (q) => Prisma.sql`
+  SELECT
+    'item' AS type,
+    i.id,
+    i.id AS "itemId",
+    i.name AS title,
+    ${headline(Prisma.sql`concat_ws(' ', i.name, i.description)`)} AS snippet,
+    ts_rank(i.search_vector, query) AS rank
+  FROM items i, ${tsQuery(q)} query
+  WHERE i.search_vector @@ query
+`;
+
+// Hidden and deleted reviews never show up in search
+const reviewResults = (q) => Prisma.sql`
+  SELECT
+    'review' AS type,
+    r.id,
+    r.item_id AS "itemId",
+    it.name AS title,
+    ${headline(Prisma.sql`r.content`)} AS snippet,
+    ts_rank(r.search_vector, query) AS rank
+  FROM reviews r
+  JOIN items it ON it.id = r.item_id,
+  ${tsQuery(q)} query
+  WHERE r.search_vector @@ query
+    AND r.hidden_at IS NULL
+    AND r.deleted_at IS NULL
+`;
+
+// Ranked items and/or reviews matching the query, with highlighted snippets
+const searchAll = async ({ q, type, limit, offset }) => {
+  const parts = [];
+  if (type !== 'reviews') parts.push(itemResults(q));
+  if (type !== 'items') parts.push(reviewResults(q));
+
+  const matches = Prisma.join(parts, ' UNION ALL ');
+
+  const [results, [{ total }]] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT * FROM (${matches}) results
+      ORDER BY rank DESC, type ASC, id ASC
+      LIMIT ${limit} OFFSET ${offset}
+    `,
+    prisma.$queryRaw`
+      SELECT count(*)::int AS total FROM (${matches}) results
+    `,
+  ]);
+
+  return { results, total };
+};
+
+module.exports = { searchItems, searchAll };
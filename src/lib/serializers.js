@@ -0,0 +1,227 @@
+const { withRatingStats } = require('./ratings');
+
+// Prisma selections and response shapes shared by every router, so the same
+// entity looks the same wherever it appears. Serializers copy only the
+// fields listed here, so columns such as a user's email or password hash
+// cannot reach a response by accident.
+
+// Copy the listed fields that are present on a record
+const pick = (record, fields) => {
+  const result = {};
+  for (const field of fields) {
+    if (record[field] !== undefined) result[field] = record[field];
+  }
+  return result;
+};
+
+// Serialize a relation, leaving it out when it was not loaded
+const relation = (serialize, value) => {
+  if (value === undefined) return undefined;
+  if (value === null) return null;
+  return Array.isArray(value) ? value.map(serialize) : serialize(value);
+};
+
+// Users as other people see them
+const PUBLIC_USER_FIELDS = ['id', 'username'];
+const publicUserSelect = { id: true, username: true };
+const serializePublicUser = (user) => pick(user, PUBLIC_USER_FIELDS);
+
+// A user's profile page, with their review stats
+const PUBLIC_PROFILE_FIELDS = [
+  ...PUBLIC_USER_FIELDS,
+  'createdAt',
+  'reviewCount',
+  'averageRatingGiven',
+];
+const publicProfileSelect = { ...publicUserSelect, createdAt: true };
+const serializePublicProfile = (user) => pick(user, PUBLIC_PROFILE_FIELDS);
+
+// The authenticated user's own account
+const ACCOUNT_FIELDS = [
+  'id',
+  'username',
+  'email',
+  'emailVerified',
+  'role',
+  'createdAt',
+];
+const accountSelect = {
+  id: true,
+  username: true,
+  email: true,
+  emailVerified: true,
+  role: true,
+  createdAt: true,
+};
+const serializeAccount = (user) => pick(user, ACCOUNT_FIELDS);
+
+const CATEGORY_SUMMARY_FIELDS = ['id', 'name', 'slug'];
+const categorySummarySelect = { id: true, name: true, slug: true };
+const serializeCategorySummary = (category) =>
+  pick(category, CATEGORY_SUMMARY_FIELDS);
+
+const CATEGORY_FIELDS = [...CATEGORY_SUMMARY_FIELDS, 'parentId', 'createdAt'];
+const serializeCategory = (category) => pick(category, CATEGORY_FIELDS);
+
+// Categories in the tree built by loadCategoryTree
+const serializeCategoryNode = (node) => ({
+  ...serializeCategory(node),
+  itemCount: node.itemCount,
+  totalItemCount: node.totalItemCount,
+  children: node.children.map(serializeCategoryNode),
+});
+
+const TAG_FIELDS = ['id', 'name', 'slug'];
+const tagInclude = {
+  select: { tag: { select: { id: true, name: true, slug: true } } },
+  orderBy: { tag: { name: 'asc' } },
+};
+
+// Tags with the number of items using them
+const TAG_USAGE_FIELDS = [...TAG_FIELDS, 'createdAt', 'itemCount'];
+const serializeTagUsage = (tag) => pick(tag, TAG_USAGE_FIELDS);
+
+// Items embedded in other entities
+const ITEM_SUMMARY_FIELDS = ['id', 'name'];
+const itemSummarySelect = {
+  id: true,
+  name: true,
+  category: { select: categorySummarySelect },
+};
+const serializeItemSummary = (item) => ({
+  ...pick(item, ITEM_SUMMARY_FIELDS),
+  category: relation(serializeCategorySummary, item.category),
+});
+
+// Reviews embedded in other entities
+const REVIEW_SUMMARY_FIELDS = ['id', 'itemId', 'rating', 'content'];
+const reviewSummarySelect = {
+  id: true,
+  itemId: true,
+  rating: true,
+  content: true,
+};
+const serializeReviewSummary = (review) => pick(review, REVIEW_SUMMARY_FIELDS);
+
+const COMMENT_FIELDS = [
+  'id',
+  'content',
+  'userId',
+  'reviewId',
+  'parentId',
+  'hiddenAt',
+  'deletedAt',
+  'editedAt',
+  'edited',
+  'createdAt',
+  'updatedAt',
+  '_count',
+];
+const commentInclude = { user: { select: publicUserSelect } };
+const serializeComment = (comment) => ({
+  ...pick(comment, COMMENT_FIELDS),
+  user: relation(serializePublicUser, comment.user),
+  review: relation(serializeReviewSummary, comment.review),
+  replies: relation(serializeComment, comment.replies),
+});
+
+const REVIEW_FIELDS = [
+  'id',
+  'rating',
+  'content',
+  'userId',
+  'itemId',
+  'helpfulCount',
+  'notHelpfulCount',
+  'hiddenAt',
+  'deletedAt',
+  'editedAt',
+  'edited',
+  'createdAt',
+  'updatedAt',
+  '_count',
+];
+const reviewInclude = { user: { select: publicUserSelect } };
+const serializeReview = (review) => ({
+  ...pick(review, REVIEW_FIELDS),
+  user: relation(serializePublicUser, review.user),
+  item: relation(serializeItemSummary, review.item),
+  comments: relation(serializeComment, review.comments),
+});
+
+const ITEM_FIELDS = [
+  'id',
+  'name',
+  'description',
+  'categoryId',
+  'reviewCount',
+  'ratingSum',
+  'averageRating',
+  'rating1Count',
+  'rating2Count',
+  'rating3Count',
+  'rating4Count',
+  'rating5Count',
+  'createdAt',
+];
+const itemInclude = {
+  category: { select: categorySummarySelect },
+  tags: tagInclude,
+};
+const serializeItem = (item) => ({
+  ...withRatingStats(pick(item, ITEM_FIELDS)),
+  category: relation(serializeCategorySummary, item.category),
+  tags: relation(({ tag }) => pick(tag, TAG_FIELDS), item.tags),
+  reviews: relation(serializeReview, item.reviews),
+});
+
+const REPORT_FIELDS = [
+  'id',
+  'reason',
+  'details',
+  'status',
+  'reporterId',
+  'reviewId',
+  'commentId',
+  'resolvedById',
+  'resolutionNote',
+  'resolvedAt',
+  'createdAt',
+];
+const reportInclude = {
+  reporter: { select: publicUserSelect },
+  resolvedBy: { select: publicUserSelect },
+  review: true,
+  comment: true,
+};
+const serializeReport = (report) => ({
+  ...pick(report, REPORT_FIELDS),
+  reporter: relation(serializePublicUser, report.reporter),
+  resolvedBy: relation(serializePublicUser, report.resolvedBy),
+  review: relation(serializeReview, report.review),
+  comment: relation(serializeComment, report.comment),
+});
+
+module.exports = {
+  publicUserSelect,
+  serializePublicUser,
+  publicProfileSelect,
+  serializePublicProfile,
+  accountSelect,
+  serializeAccount,
+  categorySummarySelect,
+  serializeCategory,
+  serializeCategoryNode,
+  tagInclude,
+  serializeTagUsage,
+  itemSummarySelect,
+  reviewSummarySelect,
+  commentInclude,
+  serializeComment,
+  reviewInclude,
+  serializeReview,
+  itemInclude,
+  serializeItem,
+  reportInclude,
+  serializeReport,
+};
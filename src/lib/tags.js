@@ -0,0 +1,59 @@
+const { z } = require('zod');
+const { slugify } = require('./categories');
+
+const TAG_MODES = ['all', 'any'];
+
+// Comma-separated tag list in a query string, e.g. `?tags=budget,wireless`.
+// Parsed into unique slugs so "Budget" and "budget" match the same tag.
+const tagsQuery = z
+  .string()
+  .optional()
+  .transform((value) =>
+    value
+      ? [...new Set(value.split(',').map(slugify).filter(Boolean))]
+      : []
+  );
+
+// Tag names accepted when creating or updating an item
+const tagsInput = z.array(z.string().trim().min(1).max(50)).max(20);
+
+// Item condition matching every (`all`) or at least one (`any`) of the tags
+const tagFilter = (slugs, mode) => {
+  if (mode === 'any') {
+    return { tags: { some: { tag: { slug: { in: slugs } } } } };
+  }
+
+  return {
+    AND: slugs.map((slug) => ({ tags: { some: { tag: { slug } } } })),
+  };
+};
+
+// Replace an item's tags, creating any tags that do not exist yet
+const setItemTags = async (tx, itemId, names) => {
+  const tags = [];
+  for (const name of names) {
+    const slug = slugify(name);
+    if (!slug || tags.some((tag) => tag.slug === slug)) continue;
+
+    tags.push(
+      await tx.tag.upsert({
+        where: { slug },
+        create: { name, slug },
+        update: {},
+      })
+    );
+  }
+
+  await tx.itemTag.deleteMany({ where: { itemId } });
+  await tx.itemTag.createMany({
+    data: tags.map((tag) => ({ itemId, tagId: tag.id })),
+  });
+};
+
+module.exports = {
+  TAG_MODES,
+  tagsQuery,
+  tagsInput,
+  tagFilter,
+  setItemTags,
+};
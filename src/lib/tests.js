@@ -0,0 +1,138 @@
+const { describe, it, expect, afterAll } = require('@jest/globals');
+const prisma = require('./prisma');
+const { config, loadConfig } = require('./config');
+const { configureLogger } = require('./logger');
+const { consoleTransport } = require('./mailer');
+
+describe('Prisma client', () => {
+  afterAll(async () => {
+    await prisma.$disconnect();
+  });
+
+  it('should log queries slower than SLOW_QUERY_MS as warnings', async () => {
+    const entries = [];
+    const { slowQueryMs } = config.log;
+    // Every query counts as slow
+    config.log.slowQueryMs = 0;
+    configureLogger({
+      level: 'warn',
+      write: (line) => entries.push(JSON.parse(line)),
+    });
+
+    try {
+      await prisma.item.count();
+      await new Promise((resolve) => setImmediate(resolve));
+    } finally {
+      config.log.slowQueryMs = slowQueryMs;
+      configureLogger({ level: 'silent' });
+    }
+
+    const slowEntry = entries.find((entry) => entry.msg === 'slow query');
+    expect(slowEntry).toMatchObject({ level: 'warn', component: 'prisma' });
+    expect(slowEntry.query).toMatch(/"items"/);
+    expect(typeof slowEntry.durationMs).toBe('number');
+    expect(slowEntry).not.toHaveProperty('params');
+  });
+});
+
+describe('Config', () => {
+  const productionEnv = {
+    NODE_ENV: 'production',
+    DATABASE_URL: 'postgresql://localhost/reviews',
+    JWT_SECRET: 'x'.repeat(32),
+  };
+
+  const developmentEnv = {
+    DATABASE_URL: 'postgresql://localhost/reviews',
+    JWT_SECRET: 'secret',
+  };
+
+  it('should load defaults for optional settings', () => {
+    const loaded = loadConfig(developmentEnv);
+
+    expect(loaded.env).toBe('development');
+    expect(loaded.port).toBe(3000);
+    expect(loaded.pagination).toEqual({ defaultLimit: 10, maxLimit: 100 });
+  });
+
+  it('should require JWT_SECRET and DATABASE_URL', () => {
+    expect(() => loadConfig({})).toThrow(
+      'Invalid environment configuration:\n' +
+        '  DATABASE_URL: is required\n' +
+        '  JWT_SECRET: is required'
+    );
+  });
+
+  it('should treat empty variables as unset', () => {
+    expect(() => loadConfig({ ...developmentEnv, JWT_SECRET: '' })).toThrow(
+      'JWT_SECRET: is required'
+    );
+  });
+
+  it('should reject a PORT that is not a number', () => {
+    expect(() => loadConfig({ ...developmentEnv, PORT: 'http' })).toThrow(
+      'PORT: must be a number'
+    );
+  });
+
+  it('should reject a default page size above the maximum', () => {
+    expect(() =>
+      loadConfig({
+        ...developmentEnv,
+        PAGINATION_DEFAULT_LIMIT: '50',
+        PAGINATION_MAX_LIMIT: '20',
+      })
+    ).toThrow(
+      'PAGINATION_DEFAULT_LIMIT: must not be greater than PAGINATION_MAX_LIMIT'
+    );
+  });
+
+  it('should require a long JWT_SECRET in production', () => {
+    expect(() =>
+      loadConfig({ ...productionEnv, JWT_SECRET: 'short' })
+    ).toThrow('JWT_SECRET: must be at least 32 characters in production');
+    expect(loadConfig({ ...developmentEnv, JWT_SECRET: 'short' })).toBeTruthy();
+  });
+
+  it('should not send mail to the console in production', () => {
+    expect(() =>
+      loadConfig({ ...productionEnv, MAIL_TRANSPORT: 'console' })
+    ).toThrow('MAIL_TRANSPORT: must not be console in production');
+    expect(loadConfig(productionEnv).mail.transport).toBe('none');
+    expect(
+      loadConfig({ ...productionEnv, NODE_ENV: 'development' }).mail.transport
+    ).toBe('console');
+  });
+});
+
+describe('Mailer', () => {
+  it('should write console mail to the log', async () => {
+    const entries = [];
+    configureLogger({
+      level: 'info',
+      write: (line) => entries.push(JSON.parse(line)),
+    });
+
+    try {
+      await consoleTransport().send({
+        from: 'no-reply@localhost',
+        to: 'reader@example.com',
+        subject: 'Hello',
+        text: 'Welcome aboard.',
+      });
+    } finally {
+      configureLogger({ level: 'silent' });
+    }
+
+    expect(entries).toEqual([
+      expect.objectContaining({
+        level: 'info',
+        msg: 'mail sent',
+        component: 'mail',
+        to: 'reader@example.com',
+        subject: 'Hello',
+        text: 'Welcome aboard.',
+      }),
+    ]);
+  });
+});
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const prisma = require('./prisma');
+const { config } = require('./config');
+
+// Refresh tokens are only ever stored as a SHA-256 hash
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+// Sign a short-lived access token bound to the user's current token version
+const signAccessToken = (user) =>
+  jwt.sign(
+    { id: user.id, tokenVersion: user.tokenVersion },
+    config.auth.jwtSecret,
+    { expiresIn: config.auth.accessTokenTtlSeconds }
+  );
+
+// Create and persist a new refresh token, returning the raw value once
+const issueRefreshToken = async (userId, client = prisma) => {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  const record = await client.refreshToken.create({
+    data: {
+      tokenHash: hashToken(token),
+      userId,
+      expiresAt: new Date(Date.now() + config.auth.refreshTokenTtlMs),
+    },
+  });
+
+  return { token, record };
+};
+
+// Issue an access/refresh token pair for a freshly authenticated user
+const issueTokenPair = async (user) => {
+  const { token: refreshToken } = await issueRefreshToken(user.id);
+
+  return {
+    token: signAccessToken(user),
+    refreshToken,
+  };
+};
+
+// Exchange a refresh token for a new pair, revoking the old one.
+// Returns null when the token is unknown, expired or already used.
+const rotateRefreshToken = async (rawToken) => {
+  const existing = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(rawToken) },
+    include: { user: true },
+  });
+
+  if (!existing) return null;
+
+  // A revoked token being presented again means it was likely stolen,
+  // so revoke every session the user has
+  if (existing.revokedAt) {
+    await revokeAllTokens(existing.userId);
+    return null;
+  }
+
+  if (existing.expiresAt < new Date()) return null;
+
+  return prisma.$transaction(async (tx) => {
+    // Claim the token first so concurrent refreshes cannot both succeed
+    const { count } = await tx.refreshToken.updateMany({
+      where: { id: existing.id, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+
+    if (count === 0) return null;
+
+    const { token: refreshToken, record } = await issueRefreshToken(
+      existing.userId,
+      tx
+    );
+
+    await tx.refreshToken.update({
+      where: { id: existing.id },
+      data: { replacedBy: record.id },
+    });
+
+    return {
+      token: signAccessToken(existing.user),
+      refreshToken,
+    };
+  });
+};
+
+// Revoke a single refresh token belonging to the given user
+const revokeRefreshToken = async (userId, rawToken) => {
+  const { count } = await prisma.refreshToken.updateMany({
+    where: { tokenHash: hashToken(rawToken), userId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+
+  return count > 0;
+};
+
+// Invalidate every outstanding access and refresh token for a user
+const revokeAllTokens = async (userId, client = prisma) => {
+  await client.refreshToken.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+
+  return client.user.update({
+    where: { id: userId },
+    data: { tokenVersion: { increment: 1 } },
+  });
+};
+
+module.exports = {
+  signAccessToken,
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllTokens,
+};
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const prisma = require('./prisma');
+const { config } = require('./config');
+const { sendMail } = require('./mailer');
+
+const TOKEN_TTL_MS = {
+  email_verification: 24 * 60 * 60 * 1000, // 24 hours
+  password_reset: 60 * 60 * 1000, // 1 hour
+};
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+// Tokens are signed so forged values are rejected before touching the
+// database, and bound to their purpose so one cannot be used for the other
+const sign = (purpose, value) =>
+  crypto
+    .createHmac('sha256', config.auth.jwtSecret)
+    .update(`${purpose}:${value}`)
+    .digest('base64url');
+
+const hasValidSignature = (purpose, token) => {
+  const [value, signature] = token.split('.');
+  if (!value || !signature) return false;
+
+  const expected = Buffer.from(sign(purpose, value));
+  const actual = Buffer.from(signature);
+
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+};
+
+// Create a token for the user, replacing any unused one for the same purpose
+const issueUserToken = async (userId, purpose) => {
+  const value = crypto.randomBytes(32).toString('hex');
+  const token = `${value}.${sign(purpose, value)}`;
+
+  await prisma.$transaction([
+    prisma.userToken.deleteMany({
+      where: { userId, purpose, usedAt: null },
+    }),
+    prisma.userToken.create({
+      data: {
+        tokenHash: hashToken(token),
+        purpose,
+        userId,
+        expiresAt: new Date(Date.now() + TOKEN_TTL_MS[purpose]),
+      },
+    }),
+  ]);
+
+  return token;
+};
+
+// Mark a token as used, returning its user ID.
+// Returns null when the token is forged, unknown, expired or already used.
+const consumeUserToken = async (token, purpose) => {
+  if (!hasValidSignature(purpose, token)) return null;
+
+  const tokenHash = hashToken(token);
+
+  // Claiming the token in one statement keeps it single-use under races
+  const { count } = await prisma.userToken.updateMany({
+    where: {
+      tokenHash,
+      purpose,
+      usedAt: null,
+      expiresAt: { gt: new Date() },
+    },
+    data: { usedAt: new Date() },
+  });
+
+  if (count === 0) return null;
+
+  const record = await prisma.userToken.findUnique({ where: { tokenHash } });
+  return record.userId;
+};
+
+const appUrl = (pathname, token) =>
+  `${config.appUrl}${pathname}?token=${token}`;
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueUserToken(user.id, 'email_verification');
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: [
+      `Hi ${user.username},`,
+      'Confirm your email address to start posting reviews:',
+      appUrl('/verify-email', token),
+      'The link expires in 24 hours.',
+    ].join('\n\n'),
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await issueUserToken(user.id, 'password_reset');
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.username},`,
+      'Use the link below to choose a new password:',
+      appUrl('/reset-password', token),
+      'The link expires in 1 hour. If you did not ask for a reset, you can ignore this email.',
+    ].join('\n\n'),
+  });
+};
+
+module.exports = {
+  consumeUserToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+};
@@ -0,0 +1,28 @@
+// Reviews and comments can be hidden by a moderator (hiddenAt) or
+// soft-deleted by their author (deletedAt); either takes them off every
+// public read path while keeping the row around.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long an author has to restore something they deleted
+const RESTORE_WINDOW_MS = 7 * DAY_MS;
+
+// How long soft-deleted rows are kept before being purged
+const RETENTION_MS = 30 * DAY_MS;
+
+// Prisma condition matching publicly visible reviews or comments
+const VISIBLE = { hiddenAt: null, deletedAt: null };
+
+const isVisible = (record) => !record.hiddenAt && !record.deletedAt;
+
+// Last moment a soft-deleted record can be restored
+const restorableUntil = (record) =>
+  new Date(record.deletedAt.getTime() + RESTORE_WINDOW_MS);
+
+module.exports = {
+  RESTORE_WINDOW_MS,
+  RETENTION_MS,
+  VISIBLE,
+  isVisible,
+  restorableUntil,
+};
@@ -0,0 +1,117 @@
+const prisma = require('./prisma');
+const { isPrismaError } = require('./errors');
+
+// Review column tallying votes of the given kind
+const tallyField = (helpful) => (helpful ? 'helpfulCount' : 'notHelpfulCount');
+
+// Apply added/removed votes (true = helpful) to a review's tallies.
+// Must be called with the transaction client that wrote the vote.
+const applyVoteChange = (tx, reviewId, { added = [], removed = [] }) => {
+  const data = {};
+
+  for (const helpful of [true, false]) {
+    const delta =
+      added.filter((vote) => vote === helpful).length -
+      removed.filter((vote) => vote === helpful).length;
+    if (delta !== 0) {
+      data[tallyField(helpful)] = { increment: delta };
+    }
+  }
+
+  return tx.review.update({
+    where: { id: reviewId },
+    data,
+  });
+};
+
+// The user's vote on a review, locked until the transaction ends so that
+// concurrent votes by the same user are applied one after the other
+const lockVote = async (tx, userId, reviewId) => {
+  const [vote] = await tx.$queryRaw`
+    SELECT id, helpful FROM review_votes
+    WHERE user_id = ${userId} AND review_id = ${reviewId}
+    FOR UPDATE
+  `;
+  return vote || null;
+};
+
+// Record a user's vote on a review, replacing any earlier vote, and adjust
+// the tallies by the vote actually replaced. Resolves to the review.
+const castVote = async (userId, reviewId, helpful) => {
+  // Two first votes can race to insert. The loser hits the unique
+  // constraint and is retried, finding and replacing the winner's vote.
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const existingVote = await lockVote(tx, userId, reviewId);
+
+        if (existingVote) {
+          await tx.reviewVote.update({
+            where: { id: existingVote.id },
+            data: { helpful },
+          });
+        } else {
+          await tx.reviewVote.create({ data: { helpful, userId, reviewId } });
+        }
+
+        return applyVoteChange(tx, reviewId, {
+          added: [helpful],
+          removed: existingVote ? [existingVote.helpful] : [],
+        });
+      });
+    } catch (error) {
+      if (!isPrismaError(error, 'P2002') || attempt > 0) throw error;
+    }
+  }
+};
+
+// Remove a user's vote on a review and adjust the tallies. Resolves to the
+// review, or null if the user had not voted.
+const withdrawVote = (userId, reviewId) =>
+  prisma.$transaction(async (tx) => {
+    const existingVote = await lockVote(tx, userId, reviewId);
+    if (!existingVote) return null;
+
+    await tx.reviewVote.delete({ where: { id: existingVote.id } });
+
+    return applyVoteChange(tx, reviewId, { removed: [existingVote.helpful] });
+  });
+
+// Take every vote a user has cast and remove it from the tallies, e.g. before
+// deleting the account cascades the votes away.
+// Must be called with the transaction client that deletes them.
+const withdrawAllVotes = async (tx, userId) => {
+  const votes = await tx.$queryRaw`
+    SELECT id, review_id AS "reviewId", helpful FROM review_votes
+    WHERE user_id = ${userId}
+    FOR UPDATE
+  `;
+
+  for (const { reviewId, helpful } of votes) {
+    await applyVoteChange(tx, reviewId, { removed: [helpful] });
+  }
+
+  await tx.reviewVote.deleteMany({
+    where: { id: { in: votes.map((vote) => vote.id) } },
+  });
+};
+
+// Orderings available wherever reviews are listed
+const REVIEW_SORTS = ['recent', 'helpful'];
+
+// Sort fields for a review listing; id keeps the ordering total
+const reviewSortFields = (sort = 'recent') => [
+  ...(sort === 'helpful'
+    ? [{ field: 'helpfulCount', direction: 'desc', type: 'integer' }]
+    : []),
+  { field: 'createdAt', direction: 'desc', type: 'date' },
+  { field: 'id', direction: 'desc', type: 'integer' },
+];
+
+module.exports = {
+  castVote,
+  withdrawVote,
+  withdrawAllVotes,
+  REVIEW_SORTS,
+  reviewSortFields,
+};
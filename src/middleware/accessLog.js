@@ -0,0 +1,26 @@
+const { logger } = require('../lib/logger');
+
+// Log one entry per request once the response has been sent, with its
+// outcome and how long it took
+const accessLog = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+    const level = res.statusCode >= 500 ? 'error' : 'info';
+
+    logger[level]('request completed', {
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 10) / 10,
+      userId: req.user ? req.user.id : undefined,
+      ip: req.ip,
+    });
+  });
+
+  next();
+};
+
+module.exports = { accessLog };
@@ -0,0 +1,5 @@
+// Wrap an async route handler so rejected promises reach errorHandler
+const asyncHandler = (handler) => (req, res, next) =>
+  Promise.resolve(handler(req, res, next)).catch(next);
+
+module.exports = { asyncHandler };
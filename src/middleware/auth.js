@@ -1,31 +1,61 @@
 const jwt = require('jsonwebtoken');
 const prisma = require('../lib/prisma');
+const { config } = require('../lib/config');
+const { UnauthorizedError, ForbiddenError } = require('../lib/errors');
+const { asyncHandler } = require('./asyncHandler');
 
-const authenticateToken = async (req, res, next) => {
+const authenticateToken = asyncHandler(async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   // The token is expected to be in the format: "Bearer <token>"
   const token = authHeader && authHeader.split(' ')[1];
 
   if (!token) {
-    return res.status(401).json({ error: 'Access token missing' });
+    throw new UnauthorizedError('Access token missing');
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    // Fetch the user from the database to ensure they still exist
-    const user = await prisma.user.findUnique({ where: { id: decoded.id } });
+    decoded = jwt.verify(token, config.auth.jwtSecret);
+  } catch (error) {
+    throw new ForbiddenError('Invalid or expired token');
+  }
 
-    if (!user) {
-      return res.status(401).json({ error: 'User not found' });
-    }
+  // Fetch the user from the database to ensure they still exist
+  const user = await prisma.user.findUnique({ where: { id: decoded.id } });
 
-    // Attach the user object to the request for use in other routes
-    req.user = user;
-    next();
-  } catch (error) {
-    console.error('Authentication error:', error);
-    return res.status(403).json({ error: 'Invalid or expired token' });
+  if (!user) {
+    throw new UnauthorizedError('User not found');
   }
+
+  // Tokens issued before a password change or "log out everywhere"
+  // carry a stale version and are no longer accepted
+  if (decoded.tokenVersion !== user.tokenVersion) {
+    throw new UnauthorizedError('Token has been revoked');
+  }
+
+  // Attach the user object to the request for use in other routes
+  req.user = user;
+  next();
+});
+
+// Restrict a route to users with one of the given roles.
+// Must be used after authenticateToken so that req.user is populated.
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return next(new ForbiddenError('Insufficient permissions'));
+  }
+
+  next();
+};
+
+// Restrict a route to users who have confirmed their email address.
+// Must be used after authenticateToken so that req.user is populated.
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user || !req.user.emailVerified) {
+    return next(new ForbiddenError('Email address has not been verified'));
+  }
+
+  next();
 };
 
-module.exports = { authenticateToken };
+module.exports = { authenticateToken, requireRole, requireVerifiedEmail };
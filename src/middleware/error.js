@@ -1,20 +1,84 @@
-const errorHandler = (err, req, res, next) => {
-  console.error('Unhandled error:', err);
+const { Prisma } = require('@prisma/client');
+const {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  PayloadTooLargeError,
+} = require('../lib/errors');
+const { logger } = require('../lib/logger');
 
-  // Set default status code and message
-  let statusCode = 500;
-  let message = 'Internal Server Error';
+// Translate known Prisma failures into API errors
+const fromPrismaError = (err) => {
+  switch (err.code) {
+    // Unique constraint violation
+    case 'P2002':
+      return new ConflictError('Resource already exists', {
+        fields: err.meta && err.meta.target,
+      });
+    // Foreign key constraint violation
+    case 'P2003':
+      return new BadRequestError('Related resource does not exist', {
+        field: err.meta && err.meta.field_name,
+      });
+    // Record required by the operation was not found
+    case 'P2025':
+      return new NotFoundError('Resource not found');
+    default:
+      return null;
+  }
+};
+
+// Normalize anything thrown by a route into an AppError
+const toAppError = (err) => {
+  if (err instanceof AppError) return err;
 
-  // Customize response based on error type or properties
   if (err.name === 'ZodError') {
-    statusCode = 400;
-    message = err.errors;
-  } else if (err.statusCode) {
-    statusCode = err.statusCode;
-    message = err.message;
+    return new ValidationError('Validation failed', err.errors);
+  }
+
+  if (err instanceof Prisma.PrismaClientKnownRequestError) {
+    const mapped = fromPrismaError(err);
+    if (mapped) return mapped;
+  }
+
+  // Malformed JSON bodies rejected by express.json()
+  if (err.type === 'entity.parse.failed') {
+    return new BadRequestError('Malformed JSON in request body');
+  }
+
+  // Bodies over the configured express.json() limit
+  if (err.type === 'entity.too.large') {
+    return new PayloadTooLargeError('Request body is too large', {
+      limit: err.limit,
+    });
+  }
+
+  return null;
+};
+
+// Requests that matched no route
+const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError(`Cannot ${req.method} ${req.path}`));
+};
+
+const errorHandler = (err, req, res, next) => {
+  let error = toAppError(err);
+
+  if (!error) {
+    logger.error('Unhandled error', { err });
+    error = new AppError('Internal server error');
   }
 
-  res.status(statusCode).json({ error: message });
+  res.status(error.statusCode).json({
+    error: {
+      code: error.code,
+      message: error.message,
+      details: error.details === undefined ? null : error.details,
+      requestId: req.id || null,
+    },
+  });
 };
 
-module.exports = { errorHandler };
+module.exports = { notFoundHandler, errorHandler };
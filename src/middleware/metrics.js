@@ -0,0 +1,36 @@
+const { requestStarted, requestFinished } = require('../lib/metrics');
+
+// Remember where the router handling a request is mounted. Express clears
+// req.baseUrl again when an error propagates out of the router, so it cannot
+// be relied on once the response has been sent.
+const mountedAt = (path) => (req, res, next) => {
+  req.routeBase = path;
+  next();
+};
+
+// Route pattern for the metrics labels, e.g. /api/items/:id
+const routeLabel = (req) => {
+  if (!req.route) return 'unmatched';
+  const path = req.route.path === '/' ? '' : req.route.path;
+  return `${req.routeBase || ''}${path}` || '/';
+};
+
+// Count each request and time it until the response is finished or the
+// client goes away
+const requestMetrics = (req, res, next) => {
+  const start = process.hrtime.bigint();
+  requestStarted();
+
+  res.once('close', () => {
+    requestFinished({
+      method: req.method,
+      route: routeLabel(req),
+      status: res.statusCode,
+      durationSeconds: Number(process.hrtime.bigint() - start) / 1e9,
+    });
+  });
+
+  next();
+};
+
+module.exports = { mountedAt, requestMetrics };
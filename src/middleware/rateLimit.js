@@ -0,0 +1,124 @@
+const { TooManyRequestsError } = require('../lib/errors');
+const { config } = require('../lib/config');
+const { logger } = require('../lib/logger');
+
+// In-memory counter store, suitable for a single server process.
+// Any object with the same async `increment` and `reset` methods can be
+// passed as `store` to share counters between processes (e.g. Redis).
+class MemoryStore {
+  constructor() {
+    this.hits = new Map();
+    this.nextSweep = 0;
+  }
+
+  // Count a hit for the key, starting a new window if the last one ended.
+  // Resolves to { count, resetAt } for the current window.
+  async increment(key, windowMs) {
+    const now = Date.now();
+    this.sweep(now);
+
+    let entry = this.hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, entry);
+    }
+
+    entry.count += 1;
+    return { ...entry };
+  }
+
+  async reset(key) {
+    this.hits.delete(key);
+  }
+
+  // Drop expired windows at most once a minute so the map cannot grow forever
+  sweep(now) {
+    if (now < this.nextSweep) return;
+
+    for (const [key, entry] of this.hits) {
+      if (entry.resetAt <= now) this.hits.delete(key);
+    }
+    this.nextSweep = now + 60 * 1000;
+  }
+}
+
+// Key requests by client IP
+const byIp = (req) => `ip:${req.ip}`;
+
+// Key requests by authenticated user, falling back to IP.
+// Must be used after authenticateToken to count per user.
+const byUser = (req) => (req.user ? `user:${req.user.id}` : byIp(req));
+
+// Limit each client to `max` requests per `windowMs`, answering with 429
+// once exceeded. Sets the RateLimit-* headers on every response and
+// Retry-After on rejected ones.
+const rateLimit = ({
+  windowMs,
+  max,
+  name = 'default',
+  keyGenerator = byIp,
+  store = new MemoryStore(),
+  message = 'Too many requests, please try again later',
+}) => async (req, res, next) => {
+  try {
+    const { count, resetAt } = await store.increment(
+      `${name}:${keyGenerator(req)}`,
+      windowMs
+    );
+    const resetSeconds = Math.max(0, Math.ceil((resetAt - Date.now()) / 1000));
+
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - count)),
+      'RateLimit-Reset': String(resetSeconds),
+    });
+
+    if (count > max) {
+      res.set('Retry-After', String(resetSeconds));
+      return next(new TooManyRequestsError(message));
+    }
+  } catch (error) {
+    // A failing store should not take the API down with it
+    logger.error('Rate limiter error', { err: error });
+  }
+
+  next();
+};
+
+// Limits applied to login attempts and to content writes. Each can be tuned
+// through the environment.
+const loginRateLimit = rateLimit({
+  name: 'login',
+  ...config.rateLimit.login,
+});
+
+// Password reset requests send email, so they are kept to a trickle
+const passwordResetRateLimit = rateLimit({
+  name: 'password-reset',
+  ...config.rateLimit.passwordReset,
+});
+
+// Verification resends send email too; they share the password reset limits
+// but are counted per account
+const verificationEmailRateLimit = rateLimit({
+  name: 'verify-email',
+  ...config.rateLimit.passwordReset,
+  keyGenerator: byUser,
+});
+
+const writeRateLimit = rateLimit({
+  name: 'write',
+  ...config.rateLimit.write,
+  keyGenerator: byUser,
+});
+
+module.exports = {
+  MemoryStore,
+  rateLimit,
+  byIp,
+  byUser,
+  loginRateLimit,
+  passwordResetRateLimit,
+  verificationEmailRateLimit,
+  writeRateLimit,
+};
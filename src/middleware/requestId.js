@@ -0,0 +1,18 @@
+const crypto = require('crypto');
+const { requestContext } = require('../lib/logger');
+
+// Tag every request with an ID, reusing a valid one from the client or an
+// upstream proxy, and echo it back in the X-Request-Id header. Everything
+// logged while the request is handled carries the ID.
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id =
+    incoming && /^[\w.-]{1,128}$/.test(incoming)
+      ? incoming
+      : crypto.randomUUID();
+
+  res.set('X-Request-Id', req.id);
+  requestContext.run({ requestId: req.id }, next);
+};
+
+module.exports = { requestId };
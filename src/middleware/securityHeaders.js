@@ -0,0 +1,27 @@
+const { config } = require('../lib/config');
+
+// The API only serves JSON, so by default nothing may be loaded, framed or
+// executed from its responses. Routes serving HTML set their own policy.
+const DEFAULT_CSP = "default-src 'none'; frame-ancestors 'none'";
+
+// Browsers remember HSTS per host, so it is only sent in production where
+// the API is served over HTTPS
+const HSTS = 'max-age=15552000; includeSubDomains';
+
+const securityHeaders = (req, res, next) => {
+  res.set({
+    'Content-Security-Policy': DEFAULT_CSP,
+    'X-Content-Type-Options': 'nosniff',
+    'X-Frame-Options': 'DENY',
+    'Referrer-Policy': 'no-referrer',
+    'Cross-Origin-Opener-Policy': 'same-origin',
+  });
+
+  if (config.isProduction) {
+    res.set('Strict-Transport-Security', HSTS);
+  }
+
+  next();
+};
+
+module.exports = { securityHeaders };
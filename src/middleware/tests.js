@@ -0,0 +1,96 @@
+const { describe, it, expect, afterAll } = require('@jest/globals');
+const request = require('supertest');
+const { createApp } = require('../app');
+const prisma = require('../lib/prisma');
+const { configureLogger } = require('../lib/logger');
+
+const app = createApp();
+
+// Capture log entries written while `run` executes
+const captureLogs = async (level, run) => {
+  const entries = [];
+  configureLogger({
+    level,
+    write: (line) => entries.push(JSON.parse(line)),
+  });
+
+  try {
+    await run();
+    await new Promise((resolve) => setImmediate(resolve));
+  } finally {
+    configureLogger({ level: 'silent' });
+  }
+
+  return entries;
+};
+
+afterAll(async () => {
+  await prisma.$disconnect();
+});
+
+describe('Access log', () => {
+  it('should log each request with its ID, status and latency', async () => {
+    const entries = await captureLogs('info', () =>
+      request(app)
+        .get('/api/items/999999')
+        .set('X-Request-Id', 'access-log-request')
+    );
+
+    const accessEntry = entries.find(
+      (entry) => entry.msg === 'request completed'
+    );
+    expect(accessEntry).toMatchObject({
+      level: 'info',
+      requestId: 'access-log-request',
+      method: 'GET',
+      path: '/api/items/999999',
+      status: 404,
+    });
+    expect(typeof accessEntry.durationMs).toBe('number');
+  });
+});
+
+describe('Security headers', () => {
+  it('should send security headers', async () => {
+    const response = await request(app).get('/api/items');
+
+    expect(response.headers['content-security-policy']).toBe(
+      "default-src 'none'; frame-ancestors 'none'"
+    );
+    expect(response.headers['x-content-type-options']).toBe('nosniff');
+    expect(response.headers['x-frame-options']).toBe('DENY');
+    expect(response.headers).not.toHaveProperty('x-powered-by');
+  });
+});
+
+describe('CORS', () => {
+  it('should only allow credentialed CORS from allowed origins', async () => {
+    const corsApp = createApp({ corsOrigins: ['https://app.example.com'] });
+
+    const allowed = await request(corsApp)
+      .get('/api/items')
+      .set('Origin', 'https://app.example.com');
+    expect(allowed.headers['access-control-allow-origin']).toBe(
+      'https://app.example.com'
+    );
+    expect(allowed.headers['access-control-allow-credentials']).toBe('true');
+
+    const denied = await request(corsApp)
+      .get('/api/items')
+      .set('Origin', 'https://evil.example.com');
+    expect(denied.headers).not.toHaveProperty('access-control-allow-origin');
+  });
+});
+
+describe('Body size limit', () => {
+  it('should return 413 for oversized request bodies', async () => {
+    const smallLimitApp = createApp({ jsonBodyLimit: '1kb' });
+
+    const response = await request(smallLimitApp)
+      .post('/api/items')
+      .send({ name: 'x'.repeat(2048) });
+
+    expect(response.status).toBe(413);
+    expect(response.body).toHaveProperty('error.code', 'PAYLOAD_TOO_LARGE');
+  });
+});
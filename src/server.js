@@ -1,33 +1,46 @@
-const express = require('express');
-const cors = require('cors');
-const dotenv = require('dotenv');
-const { errorHandler } = require('./middleware/error');
-
-dotenv.config();
-
-const app = express();
-
-app.use(cors());
-app.use(express.json());
-
-// Routes
-const userRoutes = require('./api/users/routes');
-const itemRoutes = require('./api/items/routes'); // Added Items routes
-const reviewRoutes = require('./api/reviews/routes');
-const commentRoutes = require('./api/comments/routes');
-
-app.use('/api/users', userRoutes);
-app.use('/api/items', itemRoutes); // Use Items routes
-app.use('/api/reviews', reviewRoutes);
-app.use('/api/comments', commentRoutes);
-
-// Error handling middleware
-app.use(errorHandler);
-
-// Start server
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
-
-module.exports = app; // Export for testing
+const { createApp } = require('./app');
+const prisma = require('./lib/prisma');
+const { config } = require('./lib/config');
+const { logger } = require('./lib/logger');
+
+// Start serving on PORT and shut down cleanly on SIGTERM/SIGINT: stop taking
+// new connections, let in-flight requests finish, then close the database
+// connection
+const start = () => {
+  const app = createApp();
+  const { port } = config;
+
+  const server = app.listen(port, () => {
+    logger.info('Server started', { port });
+  });
+
+  const shutdown = (signal) => {
+    if (app.locals.draining) return;
+    app.locals.draining = true;
+    logger.info('Shutting down', { signal });
+
+    // Give up on requests that do not finish in time
+    setTimeout(() => {
+      logger.error('Shutdown timed out, exiting');
+      process.exit(1);
+    }, config.shutdownTimeoutMs).unref();
+
+    server.close(async (error) => {
+      await prisma.$disconnect();
+      logger.info('Server stopped');
+      process.exit(error ? 1 : 0);
+    });
+    server.closeIdleConnections();
+  };
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
+  return server;
+};
+
+if (require.main === module) {
+  start();
+}
+
+module.exports = { start };
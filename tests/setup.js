@@ -1,11 +1,14 @@
 const prisma = require('../src/lib/prisma');
 const bcrypt = require('bcrypt');
+const { recomputeItemStats } = require('../src/lib/ratings');
+const { findOrCreateCategory } = require('../src/lib/categories');
 
 module.exports = async () => {
   await prisma.comment.deleteMany();
   await prisma.review.deleteMany();
   await prisma.user.deleteMany();
   await prisma.item.deleteMany();
+  await prisma.category.deleteMany();
 
   // Seed the database with initial data for testing
   const hashedPassword = await bcrypt.hash('password123', 10);
@@ -16,6 +19,7 @@ module.exports = async () => {
       username: 'testuser1',
       email: 'testuser1@example.com',
       password: hashedPassword,
+      emailVerified: true,
     },
   });
 
@@ -24,15 +28,20 @@ module.exports = async () => {
       username: 'testuser2',
       email: 'testuser2@example.com',
       password: hashedPassword,
+      emailVerified: true,
     },
   });
 
+  // Create test categories
+  const categoryA = await findOrCreateCategory('Category A');
+  const categoryB = await findOrCreateCategory('Category B');
+
   // Create test items
   const item1 = await prisma.item.create({
     data: {
       name: 'Test Item 1',
       description: 'Description for Test Item 1',
-      category: 'Category A',
+      categoryId: categoryA.id,
     },
   });
 
@@ -40,7 +49,7 @@ module.exports = async () => {
     data: {
       name: 'Test Item 2',
       description: 'Description for Test Item 2',
-      category: 'Category B',
+      categoryId: categoryB.id,
     },
   });
 
@@ -63,6 +72,8 @@ module.exports = async () => {
     },
   });
 
+  await recomputeItemStats(item1.id);
+
   // Create test comments
   await prisma.comment.createMany({
     data: [